@@ -0,0 +1,125 @@
+/**
+ * Validate payloads of every event against the published schemas:
+ * - raw Baileys fixtures (scripts/fixtures/baileys-events.js) run through
+ *   the builders socket-factory.js uses, in every payload format
+ * - the webhook.circuit notice of a real circuit breaker transition
+ * - the sample payloads served by POST /admin/webhook-test
+ *
+ * Run in CI (`bun run check:schemas`) so a change to a payload shape fails
+ * until the schema, and EVENT_SCHEMA_VERSION, are updated with it. Running
+ * the service with WEBHOOK_SCHEMA_VALIDATION=strict applies the same check
+ * to real emitted payloads: GET /admin/events/schemas/violations then
+ * answers 409 once one did not match.
+ */
+import {
+  EVENT_SCHEMA_VERSION,
+  getEventSchemas,
+  validateEventPayload,
+} from "../src/services/event-schemas.js";
+import { buildSamplePayload } from "../src/services/webhook-samples.js";
+import { PAYLOAD_FORMATS } from "../src/services/message-normalizer.js";
+import {
+  serializeBaileysData,
+  buildMessagesUpsertPayload,
+  buildMessagesUpdatePayload,
+  buildReceiptUpdatePayload,
+  buildQrPayload,
+  buildSessionConnectedPayload,
+  buildSessionDisconnectedPayload,
+} from "../src/services/event-payloads.js";
+import { circuitBreaker } from "../src/services/webhook-circuit.js";
+import {
+  fixtures,
+  DISCONNECT_REASONS,
+  SELF_JID,
+  SESSION_ID,
+} from "./fixtures/baileys-events.js";
+import { getBaileysEventReference } from "../src/services/webhook-filter.js";
+import { validateSchema } from "../src/utils/json-schema.js";
+
+const failures = [];
+
+function check(label, errors) {
+  if (errors.length > 0) failures.push({ label, errors });
+}
+
+const { envelope, events } = getEventSchemas();
+
+for (const event of Object.values(getBaileysEventReference()).flat()) {
+  if (!events[event]) {
+    check(event, ["no schema defined"]);
+    continue;
+  }
+
+  const payload = buildSamplePayload(event, "schema-check");
+  if (payload === undefined) {
+    check(event, ["no sample payload defined"]);
+    continue;
+  }
+
+  check(event, validateEventPayload(event, payload));
+
+  const body = { schemaVersion: EVENT_SCHEMA_VERSION, sessionId: "schema-check", event, payload, ts: Date.now() };
+  check(`${event} envelope`, validateSchema(JSON.parse(JSON.stringify(body)), envelope));
+}
+
+// Builders as socket-factory.js calls them; every other event is sent as
+// serializeBaileysData(data)
+const BUILDERS = {
+  "messages.update": buildMessagesUpdatePayload,
+  "message-receipt.update": buildReceiptUpdatePayload,
+  "qr.updated": ({ qr, generatedAt }) => buildQrPayload(SESSION_ID, qr, generatedAt),
+  "session.connected": ({ connectedAt, creds, isNewLogin }) =>
+    buildSessionConnectedPayload(SESSION_ID, connectedAt, creds, isNewLogin),
+  "session.disconnected": ({ lastDisconnect }) =>
+    buildSessionDisconnectedPayload(SESSION_ID, lastDisconnect, DISCONNECT_REASONS),
+};
+
+// What the receiver gets once the envelope is serialized
+const emitted = (payload) => JSON.parse(JSON.stringify(payload));
+
+for (const [event, emissions] of Object.entries(fixtures)) {
+  emissions.forEach((data, index) => {
+    if (event === "messages.upsert") {
+      for (const format of PAYLOAD_FORMATS) {
+        const payload = buildMessagesUpsertPayload(data.type, data.messages, { format, selfJid: SELF_JID });
+        check(`${event} fixture #${index} (${format})`, validateEventPayload(event, emitted(payload)));
+      }
+      return;
+    }
+
+    const build = BUILDERS[event] || serializeBaileysData;
+    check(`${event} fixture #${index}`, validateEventPayload(event, emitted(build(data))));
+  });
+}
+
+const socketEvents = Object.values(getBaileysEventReference()).flat()
+  .filter((event) => !["creds.update", "webhook.circuit"].includes(event));
+for (const event of socketEvents) {
+  if (!fixtures[event]) check(event, ["no Baileys fixture defined"]);
+}
+
+// webhook.circuit, from a real transition of the circuit breaker
+const notices = [];
+const unsubscribe = circuitBreaker.onStateChange((change) => notices.push({ ...change, ts: Date.now() }));
+for (let n = 0; n < circuitBreaker.failureThreshold; n++) {
+  circuitBreaker.onFailure("https://schema-check.invalid/hook", new Error("HTTP 503: Service Unavailable"));
+}
+unsubscribe();
+
+if (notices.length === 0) check("webhook.circuit", ["the circuit breaker did not open"]);
+for (const notice of notices) {
+  check("webhook.circuit notice", validateEventPayload("webhook.circuit", emitted(notice)));
+}
+
+if (failures.length > 0) {
+  for (const { label, errors } of failures) {
+    console.error(`✗ ${label}`);
+    for (const error of errors) console.error(`    ${error}`);
+  }
+  console.error(`\n${failures.length} schema check(s) failed (schema version ${EVENT_SCHEMA_VERSION})`);
+  process.exit(1);
+}
+
+console.log(`✓ All event payloads match schema version ${EVENT_SCHEMA_VERSION}`);
+process.exit(0);
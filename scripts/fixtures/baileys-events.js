@@ -0,0 +1,187 @@
+/**
+ * Raw Baileys emissions used by check-event-schemas.js
+ *
+ * Shaped like what sock.ev hands to socket-factory.js, including the types
+ * that only exist before serialization: Buffers and Uint8Arrays (media keys,
+ * thumbnails), Long-like timestamps, Dates and Boom errors.
+ */
+
+export const SELF_JID = "5511999990000:12@s.whatsapp.net";
+const CONTACT_JID = "5511988887777@s.whatsapp.net";
+const CONTACT_LID = "123456789012345@lid";
+const GROUP_JID = "120363025246125888@g.us";
+
+const now = Math.floor(Date.now() / 1000);
+
+// protobufjs Long, as Baileys decodes uint64 fields
+const long = (low) => ({ low, high: 0, unsigned: true });
+
+const textMessage = {
+  key: { remoteJid: CONTACT_JID, remoteJidAlt: CONTACT_LID, fromMe: false, id: "3EB0C431C26A1916E0A1" },
+  message: {
+    conversation: "Hello there",
+    messageContextInfo: { deviceListMetadataVersion: 2, messageSecret: new Uint8Array(32).fill(7) },
+  },
+  messageTimestamp: now,
+  pushName: "Maria",
+  broadcast: false,
+};
+
+const imageMessage = {
+  key: { remoteJid: GROUP_JID, fromMe: false, id: "3A5F1B2C3D4E5F60718A", participant: CONTACT_JID },
+  message: {
+    imageMessage: {
+      url: "https://mmg.whatsapp.net/v/t62.7118-24/image.enc",
+      mimetype: "image/jpeg",
+      caption: "Look @5511999990000",
+      fileSha256: Buffer.alloc(32, 1),
+      fileLength: long(48213),
+      height: 1280,
+      width: 720,
+      mediaKey: new Uint8Array(32).fill(2),
+      fileEncSha256: Buffer.alloc(32, 3),
+      directPath: "/v/t62.7118-24/image.enc",
+      mediaKeyTimestamp: long(now),
+      jpegThumbnail: Buffer.from("ffd8ffe000104a464946", "hex"),
+      contextInfo: {
+        stanzaId: "3EB0C431C26A1916E0A1",
+        participant: CONTACT_JID,
+        mentionedJid: ["5511999990000@s.whatsapp.net"],
+        quotedMessage: { conversation: "Hello there" },
+      },
+    },
+  },
+  messageTimestamp: long(now),
+  pushName: "João",
+};
+
+const ownMessage = {
+  key: { remoteJid: CONTACT_JID, fromMe: true, id: "BAE5F0D1E2C3B4A59687" },
+  message: { extendedTextMessage: { text: "On my way", previewType: 0 } },
+  messageTimestamp: now,
+  status: 2,
+};
+
+const chat = {
+  id: CONTACT_JID,
+  conversationTimestamp: long(now),
+  unreadCount: 1,
+  name: "Maria",
+  lidJid: CONTACT_LID,
+};
+
+const group = {
+  id: GROUP_JID,
+  subject: "Team",
+  subjectOwner: CONTACT_JID,
+  subjectTime: now,
+  creation: now - 86400,
+  owner: CONTACT_JID,
+  desc: "Coordination",
+  restrict: false,
+  announce: false,
+  size: 2,
+  participants: [
+    { id: CONTACT_JID, admin: "superadmin" },
+    { id: "5511999990000@s.whatsapp.net", admin: null },
+  ],
+};
+
+// Boom error, as carried by lastDisconnect
+const boom = Object.assign(new Error("Stream Errored (restart required)"), {
+  isBoom: true,
+  output: { statusCode: 515, payload: { statusCode: 515, error: "Stream Errored (restart required)" } },
+});
+
+export const DISCONNECT_REASONS = {
+  connectionClosed: 428,
+  connectionLost: 408,
+  connectionReplaced: 440,
+  timedOut: 408,
+  loggedOut: 401,
+  badSession: 500,
+  restartRequired: 515,
+  multideviceMismatch: 411,
+};
+
+export const SESSION_ID = "schema-check";
+
+export const fixtures = {
+  "connection.update": [
+    { connection: "connecting" },
+    { qr: "2@AbCdEf==,XyZ==,123==,456==" },
+    { connection: "open", isNewLogin: true },
+    { connection: "close", lastDisconnect: { error: boom, date: new Date() } },
+  ],
+
+  "messages.upsert": [
+    { type: "notify", messages: [textMessage, imageMessage] },
+    { type: "append", messages: [ownMessage] },
+  ],
+
+  "messages.update": [
+    [{ key: textMessage.key, update: { status: 4 } }],
+    [{ key: ownMessage.key, update: { message: { editedMessage: { message: { conversation: "Edited" } } } } }],
+  ],
+
+  "messages.delete": [
+    { keys: [textMessage.key, imageMessage.key] },
+    { jid: CONTACT_JID, all: true },
+  ],
+
+  "messages.reaction": [
+    [{ key: textMessage.key, reaction: { key: { ...textMessage.key, fromMe: true }, text: "👍", senderTimestampMs: long(Date.now() % 2 ** 31) } }],
+  ],
+
+  "message-receipt.update": [
+    [{ key: ownMessage.key, receipt: { userJid: CONTACT_JID, readTimestamp: now } }],
+    { key: imageMessage.key, receipt: { userJid: CONTACT_JID, receiptTimestamp: now, deliveredTimestamp: now } },
+  ],
+
+  "chats.upsert": [[chat]],
+  "chats.update": [[{ id: CONTACT_JID, unreadCount: 0, conversationTimestamp: long(now) }]],
+  "chats.delete": [[CONTACT_JID]],
+
+  "contacts.upsert": [[{ id: CONTACT_JID, lid: CONTACT_LID, name: "Maria", notify: "Maria" }]],
+  "contacts.update": [[{ id: CONTACT_JID, imgUrl: "changed" }]],
+
+  "groups.upsert": [[group]],
+  "groups.update": [[{ id: GROUP_JID, subject: "Team (new)" }]],
+  "group-participants.update": [
+    { id: GROUP_JID, author: CONTACT_JID, participants: [{ id: "5511977776666@s.whatsapp.net", admin: null }], action: "add" },
+    { id: GROUP_JID, participants: ["5511977776666@s.whatsapp.net"], action: "remove" },
+  ],
+
+  "messaging-history.set": [
+    {
+      chats: [chat],
+      contacts: [{ id: CONTACT_JID, name: "Maria" }],
+      messages: [textMessage, imageMessage, ownMessage],
+      isLatest: true,
+      progress: 100,
+      syncType: 2,
+    },
+  ],
+
+  "presence.update": [
+    { id: CONTACT_JID, presences: { [CONTACT_JID]: { lastKnownPresence: "composing" } } },
+  ],
+
+  call: [
+    [{ chatId: CONTACT_JID, from: CONTACT_JID, id: "C1A2B3C4D5E6F708", date: new Date(), offline: false, status: "offer", isVideo: false, isGroup: false }],
+  ],
+
+  "blocklist.set": [{ blocklist: [CONTACT_JID] }],
+  "blocklist.update": [{ blocklist: [CONTACT_JID], type: "add" }, { blocklist: [CONTACT_JID], type: "remove" }],
+
+  // Session state behind the service events
+  "qr.updated": [{ qr: "2@AbCdEf==,XyZ==,123==,456==", generatedAt: Date.now() }],
+  "session.connected": [
+    { connectedAt: Date.now(), isNewLogin: false, creds: { me: { id: SELF_JID, name: "Support" }, platform: "android" } },
+    { connectedAt: Date.now(), isNewLogin: true, creds: {} },
+  ],
+  "session.disconnected": [
+    { lastDisconnect: { error: boom, date: new Date() } },
+    { lastDisconnect: undefined },
+  ],
+};
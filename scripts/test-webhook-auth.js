@@ -0,0 +1,154 @@
+/**
+ * Exercise OAuth2 client-credentials and mutual TLS against local servers.
+ *
+ * `bun run test:webhook-auth` creates a throwaway CA with openssl, starts an
+ * HTTPS receiver that requires a client certificate and a bearer token, and
+ * an OAuth2 token endpoint on the same server. It then delivers through the
+ * same helpers the webhook queue uses (buildAuthHeaders, buildTlsOptions)
+ * and checks that the receiver rejects requests without certificate or
+ * token. Needs Bun (fetch `tls` option) and openssl on the PATH.
+ */
+import { execFileSync } from "child_process";
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from "fs";
+import { createServer } from "https";
+import { tmpdir } from "os";
+import { join } from "path";
+
+const dir = mkdtempSync(join(tmpdir(), "webhook-auth-"));
+process.env.WEBHOOK_TLS_DIR = dir;
+
+const CLIENT_ID = "test-client";
+const CLIENT_SECRET = "test-secret";
+const ACCESS_TOKEN = "test-access-token";
+
+function openssl(...args) {
+  execFileSync("openssl", args, { cwd: dir, stdio: "ignore" });
+}
+
+function issue(name, subject, extensions) {
+  openssl("req", "-newkey", "rsa:2048", "-nodes", "-keyout", `${name}-key.pem`, "-subj", subject, "-out", `${name}.csr`);
+  writeFileSync(join(dir, `${name}.ext`), extensions);
+  openssl(
+    "x509", "-req", "-in", `${name}.csr`, "-CA", "ca.pem", "-CAkey", "ca-key.pem",
+    "-CAcreateserial", "-days", "1", "-extfile", `${name}.ext`, "-out", `${name}.pem`
+  );
+}
+
+openssl("req", "-x509", "-newkey", "rsa:2048", "-nodes", "-days", "1", "-subj", "/CN=webhook-test-ca", "-keyout", "ca-key.pem", "-out", "ca.pem");
+issue("server", "/CN=localhost", "subjectAltName=DNS:localhost,IP:127.0.0.1\nextendedKeyUsage=serverAuth\n");
+issue("client", "/CN=webhook-client", "extendedKeyUsage=clientAuth\n");
+
+const pem = (name) => readFileSync(join(dir, name));
+
+const server = createServer(
+  {
+    key: pem("server-key.pem"),
+    cert: pem("server.pem"),
+    ca: pem("ca.pem"),
+    requestCert: true,
+    rejectUnauthorized: false,
+  },
+  (req, res) => {
+    const reply = (status, body) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(body));
+    };
+
+    if (!req.socket.authorized) return reply(403, { error: "client certificate required" });
+
+    if (req.url === "/token") {
+      const expected = `Basic ${Buffer.from(`${CLIENT_ID}:${CLIENT_SECRET}`).toString("base64")}`;
+      if (req.headers.authorization !== expected) return reply(401, { error: "invalid_client" });
+      return reply(200, { access_token: ACCESS_TOKEN, token_type: "bearer", expires_in: 60 });
+    }
+
+    if (req.headers.authorization !== `Bearer ${ACCESS_TOKEN}`) return reply(401, { error: "invalid token" });
+    reply(200, { ok: true });
+  }
+);
+
+await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+const base = `https://localhost:${server.address().port}`;
+
+// Imported after WEBHOOK_TLS_DIR is set: config is read at load time
+const { buildAuthHeaders, buildTlsOptions } = await import("../src/services/webhook-auth.js");
+const { validateDestinationConfig } = await import("../src/services/webhook-destinations.js");
+
+const destination = {
+  url: `${base}/hook`,
+  authType: "oauth2",
+  oauthTokenUrl: `${base}/token`,
+  oauthClientId: CLIENT_ID,
+  oauthClientSecret: CLIENT_SECRET,
+  tlsCertPath: "client.pem",
+  tlsKeyPath: "client-key.pem",
+  tlsCaPath: "ca.pem",
+};
+
+const failures = [];
+
+async function check(label, run) {
+  try {
+    await run();
+    console.log(`✓ ${label}`);
+  } catch (err) {
+    failures.push(label);
+    console.error(`✗ ${label}: ${err?.message || err}`);
+  }
+}
+
+function expect(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+async function post(target, headers) {
+  const response = await fetch(target.url, {
+    method: "POST",
+    body: "{}",
+    headers: { "Content-Type": "application/json", ...headers },
+    ...buildTlsOptions(target),
+  });
+  return response.status;
+}
+
+await check("destination with files inside WEBHOOK_TLS_DIR is valid", () => {
+  const { errors } = validateDestinationConfig(destination);
+  expect(errors.length === 0, errors.join("; "));
+});
+
+await check("paths outside WEBHOOK_TLS_DIR are rejected", () => {
+  for (const path of ["/etc/hostname", "../outside.pem", "missing.pem"]) {
+    const { errors } = validateDestinationConfig({ ...destination, tlsCaPath: path });
+    expect(
+      errors.includes("'tlsCaPath' must be a readable file inside WEBHOOK_TLS_DIR"),
+      `${path} accepted`
+    );
+  }
+});
+
+await check("oauth2 + mTLS delivery is accepted", async () => {
+  const status = await post(destination, await buildAuthHeaders(destination));
+  expect(status === 200, `HTTP ${status}`);
+});
+
+await check("delivery without client certificate is refused", async () => {
+  const { tlsCertPath: _cert, tlsKeyPath: _key, ...noCert } = destination;
+  const status = await post(noCert, { Authorization: `Bearer ${ACCESS_TOKEN}` });
+  expect(status === 403, `HTTP ${status}`);
+});
+
+await check("delivery without token is refused", async () => {
+  const status = await post(destination, {});
+  expect(status === 401, `HTTP ${status}`);
+});
+
+server.close();
+rmSync(dir, { recursive: true, force: true });
+
+if (failures.length > 0) {
+  console.error(`\n${failures.length} webhook auth check(s) failed`);
+  process.exit(1);
+}
+
+console.log("✓ OAuth2 and mTLS webhook delivery work against the local test server");
+process.exit(0);
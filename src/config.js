@@ -4,6 +4,24 @@ export const WEBHOOK_AUTH_TYPE = process.env.WEBHOOK_AUTH_TYPE || "";
 export const WEBHOOK_AUTH_USER = process.env.WEBHOOK_AUTH_USER || "";
 export const WEBHOOK_AUTH_PASSWORD = process.env.WEBHOOK_AUTH_PASSWORD || "";
 export const WEBHOOK_AUTH_TOKEN = process.env.WEBHOOK_AUTH_TOKEN || "";
+// OAuth2 client-credentials (WEBHOOK_AUTH_TYPE=oauth2)
+export const WEBHOOK_OAUTH_TOKEN_URL = process.env.WEBHOOK_OAUTH_TOKEN_URL || "";
+export const WEBHOOK_OAUTH_CLIENT_ID = process.env.WEBHOOK_OAUTH_CLIENT_ID || "";
+export const WEBHOOK_OAUTH_CLIENT_SECRET =
+  process.env.WEBHOOK_OAUTH_CLIENT_SECRET || "";
+export const WEBHOOK_OAUTH_SCOPE = process.env.WEBHOOK_OAUTH_SCOPE || "";
+export const WEBHOOK_OAUTH_AUDIENCE = process.env.WEBHOOK_OAUTH_AUDIENCE || "";
+// Client certificate for mutual TLS (PEM file paths)
+export const WEBHOOK_TLS_CERT = process.env.WEBHOOK_TLS_CERT || "";
+export const WEBHOOK_TLS_KEY = process.env.WEBHOOK_TLS_KEY || "";
+export const WEBHOOK_TLS_CA = process.env.WEBHOOK_TLS_CA || "";
+// Directory holding the PEM files destinations may reference through the API;
+// relative TLS paths are resolved against it
+export const WEBHOOK_TLS_DIR = process.env.WEBHOOK_TLS_DIR || "";
+export const WEBHOOK_SIGNING_SECRET = process.env.WEBHOOK_SIGNING_SECRET || "";
+// Previous secret stays valid while receivers migrate to the new one
+export const WEBHOOK_SIGNING_SECRET_PREVIOUS =
+  process.env.WEBHOOK_SIGNING_SECRET_PREVIOUS || "";
 export const AUTH_BASE_DIR = process.env.AUTH_BASE_DIR || "./auth";
 export const SHOW_QR_IN_TERMINAL =
   process.env.SHOW_QR_IN_TERMINAL === "false" ? false : true;
@@ -15,11 +33,149 @@ export const REDIS_DB = parseInt(process.env.REDIS_DB || "0", 10);
 export const REDIS_PASSWORD = process.env.REDIS_PASSWORD || "";
 export const REDIS_URL = process.env.REDIS_URL || "";
 
+// Webhook Delivery
+export const WEBHOOK_MAX_RETRIES = parseInt(
+  process.env.WEBHOOK_MAX_RETRIES || "3",
+  10
+);
+export const WEBHOOK_RETRY_DELAY = parseInt(
+  process.env.WEBHOOK_RETRY_DELAY || "5000",
+  10
+);
+export const WEBHOOK_SCHEDULER_INTERVAL = parseInt(
+  process.env.WEBHOOK_SCHEDULER_INTERVAL || "1000",
+  10
+);
+// In-flight webhooks older than this are considered abandoned by a crashed worker
+export const WEBHOOK_VISIBILITY_TIMEOUT = parseInt(
+  process.env.WEBHOOK_VISIBILITY_TIMEOUT || "60000",
+  10
+);
+export const WEBHOOK_REAPER_INTERVAL = parseInt(
+  process.env.WEBHOOK_REAPER_INTERVAL || "30000",
+  10
+);
+export const WEBHOOK_CIRCUIT_FAILURE_THRESHOLD = parseInt(
+  process.env.WEBHOOK_CIRCUIT_FAILURE_THRESHOLD || "5",
+  10
+);
+export const WEBHOOK_CIRCUIT_RESET_TIMEOUT = parseInt(
+  process.env.WEBHOOK_CIRCUIT_RESET_TIMEOUT || "30000",
+  10
+);
+// FIFO delivery per (destination, session, chat); other chats stay parallel
+export const WEBHOOK_ORDERED_DELIVERY =
+  process.env.WEBHOOK_ORDERED_DELIVERY === "true";
+
+// Backpressure for webhook:queue (0 = unbounded). Overflow policy:
+// drop-oldest | reject | spill (to the capped webhook:overflow stream)
+export const WEBHOOK_QUEUE_MAX_LENGTH = parseInt(
+  process.env.WEBHOOK_QUEUE_MAX_LENGTH || "0",
+  10
+);
+export const WEBHOOK_QUEUE_OVERFLOW =
+  process.env.WEBHOOK_QUEUE_OVERFLOW || "drop-oldest";
+export const WEBHOOK_QUEUE_SPILL_MAX_LEN = parseInt(
+  process.env.WEBHOOK_QUEUE_SPILL_MAX_LEN || "100000",
+  10
+);
+// Priority overrides, e.g. "chats.update=low,call=high" (levels: low | normal | high)
+export const WEBHOOK_EVENT_PRIORITIES = process.env.WEBHOOK_EVENT_PRIORITIES || "";
+
+// Execute reply actions returned by the global destination for messages.upsert
+export const WEBHOOK_REPLY_ACTIONS = process.env.WEBHOOK_REPLY_ACTIONS === "true";
+
+// Batching for the global destination: one POST with up to N events,
+// flushed after MAX_WAIT_MS (0 or 1 event = batching disabled)
+export const WEBHOOK_BATCH_MAX_EVENTS = parseInt(
+  process.env.WEBHOOK_BATCH_MAX_EVENTS || "0",
+  10
+);
+export const WEBHOOK_BATCH_MAX_WAIT_MS = parseInt(
+  process.env.WEBHOOK_BATCH_MAX_WAIT_MS || "1000",
+  10
+);
+
+// Shape of messages.upsert payloads: raw | normalized | both
+export const WEBHOOK_PAYLOAD_FORMAT = process.env.WEBHOOK_PAYLOAD_FORMAT || "both";
+
+// Large payloads (0 = off): split history/chat/contact events above
+// CHUNK_MAX_BYTES, keep queued payloads above OFFLOAD_BYTES in separate keys
+export const WEBHOOK_CHUNK_MAX_BYTES = parseInt(
+  process.env.WEBHOOK_CHUNK_MAX_BYTES || "0",
+  10
+);
+export const WEBHOOK_PAYLOAD_OFFLOAD_BYTES = parseInt(
+  process.env.WEBHOOK_PAYLOAD_OFFLOAD_BYTES || "0",
+  10
+);
+export const WEBHOOK_PAYLOAD_OFFLOAD_TTL = parseInt(
+  process.env.WEBHOOK_PAYLOAD_OFFLOAD_TTL || "604800",
+  10
+);
+
+// Request body compression: none | gzip (bodies of at least MIN_BYTES)
+export const WEBHOOK_COMPRESSION = process.env.WEBHOOK_COMPRESSION || "none";
+export const WEBHOOK_COMPRESSION_MIN_BYTES = parseInt(
+  process.env.WEBHOOK_COMPRESSION_MIN_BYTES || "1024",
+  10
+);
+
+// Check emitted payloads against the event schemas: off | warn | strict (tests/CI:
+// GET /admin/events/schemas/violations fails once a payload did not match)
+export const WEBHOOK_SCHEMA_VALIDATION = process.env.WEBHOOK_SCHEMA_VALIDATION || "off";
+
+// Seconds a delivered message id is remembered to skip re-emitted duplicates (0 = off)
+export const WEBHOOK_DEDUP_TTL = parseInt(
+  process.env.WEBHOOK_DEDUP_TTL || "86400",
+  10
+);
+
+// Delivery log retention (TTL in seconds for per-webhook records)
+export const WEBHOOK_DELIVERY_LOG_TTL = parseInt(
+  process.env.WEBHOOK_DELIVERY_LOG_TTL || "604800",
+  10
+);
+export const WEBHOOK_DELIVERY_LOG_MAX = parseInt(
+  process.env.WEBHOOK_DELIVERY_LOG_MAX || "10000",
+  10
+);
+export const WEBHOOK_DELIVERY_LOG_BODY_LIMIT = parseInt(
+  process.env.WEBHOOK_DELIVERY_LOG_BODY_LIMIT || "2048",
+  10
+);
+
+// Per-session event log (pull API / replay); MAX_LEN 0 disables it
+export const EVENT_LOG_MAX_LEN = parseInt(
+  process.env.EVENT_LOG_MAX_LEN || "10000",
+  10
+);
+// Retention in seconds
+export const EVENT_LOG_RETENTION = parseInt(
+  process.env.EVENT_LOG_RETENTION || "259200",
+  10
+);
+
+// Event Stream (SSE): Redis buffer used for Last-Event-ID resume
+export const SSE_BUFFER_SIZE = parseInt(
+  process.env.SSE_BUFFER_SIZE || "1000",
+  10
+);
+// Larger payloads (e.g. history sync) are streamed live but buffered without payload
+export const SSE_BUFFER_PAYLOAD_LIMIT = parseInt(
+  process.env.SSE_BUFFER_PAYLOAD_LIMIT || "262144",
+  10
+);
+export const SSE_HEARTBEAT_INTERVAL = parseInt(
+  process.env.SSE_HEARTBEAT_INTERVAL || "15000",
+  10
+);
+
 // Webhook Filters
 export const WEBHOOK_SKIP_STATUS = process.env.WEBHOOK_SKIP_STATUS !== "false";
 export const WEBHOOK_SKIP_GROUPS = process.env.WEBHOOK_SKIP_GROUPS === "false";
 export const WEBHOOK_SKIP_CHANNELS = process.env.WEBHOOK_SKIP_CHANNELS !== "false";
-export const WEBHOOK_SKIP_BLOCKED = process.env.WEBHOOK_SKIP_BLOCKED === "false";
+export const WEBHOOK_SKIP_BLOCKED = process.env.WEBHOOK_SKIP_BLOCKED === "true";
 export const WEBHOOK_ALLOWED_EVENTS = process.env.WEBHOOK_ALLOWED_EVENTS || "";
 export const WEBHOOK_DENIED_EVENTS = process.env.WEBHOOK_DENIED_EVENTS || "";
 
@@ -83,7 +239,7 @@ export function getRedisConfig() {
 
 if (!WEBHOOK_URL) {
   console.warn(
-    "[config] WEBHOOK_URL not defined; webhooks will have no destination."
+    "[config] WEBHOOK_URL not defined; only sessions with their own webhook (PUT /sessions/:id/webhook) will receive webhooks."
   );
 }
 
@@ -97,6 +253,16 @@ if (!WEBHOOK_AUTH_TYPE) {
       "[config] WEBHOOK_AUTH_TYPE is 'basic' but WEBHOOK_AUTH_USER or WEBHOOK_AUTH_PASSWORD is not defined."
     );
   }
+} else if (WEBHOOK_AUTH_TYPE === "oauth2") {
+  if (
+    !WEBHOOK_OAUTH_TOKEN_URL ||
+    !WEBHOOK_OAUTH_CLIENT_ID ||
+    !WEBHOOK_OAUTH_CLIENT_SECRET
+  ) {
+    console.warn(
+      "[config] WEBHOOK_AUTH_TYPE is 'oauth2' but WEBHOOK_OAUTH_TOKEN_URL, WEBHOOK_OAUTH_CLIENT_ID or WEBHOOK_OAUTH_CLIENT_SECRET is not defined."
+    );
+  }
 } else if (WEBHOOK_AUTH_TYPE === "token" || WEBHOOK_AUTH_TYPE === "bearer") {
   if (!WEBHOOK_AUTH_TOKEN) {
     console.warn(
@@ -109,6 +275,42 @@ if (!WEBHOOK_AUTH_TYPE) {
   );
 }
 
+if (!!WEBHOOK_TLS_CERT !== !!WEBHOOK_TLS_KEY) {
+  console.warn(
+    "[config] WEBHOOK_TLS_CERT and WEBHOOK_TLS_KEY must be set together; the client certificate will not be used."
+  );
+}
+
+if (!["raw", "normalized", "both"].includes(WEBHOOK_PAYLOAD_FORMAT)) {
+  console.warn(
+    `[config] WEBHOOK_PAYLOAD_FORMAT is set to unknown value '${WEBHOOK_PAYLOAD_FORMAT}'; raw payloads will be sent.`
+  );
+}
+
+if (!["drop-oldest", "reject", "spill"].includes(WEBHOOK_QUEUE_OVERFLOW)) {
+  console.warn(
+    `[config] WEBHOOK_QUEUE_OVERFLOW is set to unknown value '${WEBHOOK_QUEUE_OVERFLOW}'; drop-oldest will be used.`
+  );
+}
+
+if (!["none", "gzip"].includes(WEBHOOK_COMPRESSION)) {
+  console.warn(
+    `[config] WEBHOOK_COMPRESSION is set to unknown value '${WEBHOOK_COMPRESSION}'; bodies will not be compressed.`
+  );
+}
+
+if (!["off", "warn", "strict"].includes(WEBHOOK_SCHEMA_VALIDATION)) {
+  console.warn(
+    `[config] WEBHOOK_SCHEMA_VALIDATION is set to unknown value '${WEBHOOK_SCHEMA_VALIDATION}'; payloads will be checked in warn mode.`
+  );
+}
+
+if (WEBHOOK_SIGNING_SECRET_PREVIOUS && !WEBHOOK_SIGNING_SECRET) {
+  console.warn(
+    "[config] WEBHOOK_SIGNING_SECRET_PREVIOUS is set without WEBHOOK_SIGNING_SECRET; it will be ignored."
+  );
+}
+
 console.log("[config] Redis:", {
   host: REDIS_HOST,
   port: REDIS_PORT,
@@ -116,6 +318,53 @@ console.log("[config] Redis:", {
   hasPassword: !!REDIS_PASSWORD,
 });
 
+console.log("[config] Webhook Delivery:", {
+  maxRetries: WEBHOOK_MAX_RETRIES,
+  retryDelay: `${WEBHOOK_RETRY_DELAY}ms`,
+  schedulerInterval: `${WEBHOOK_SCHEDULER_INTERVAL}ms`,
+  visibilityTimeout: `${WEBHOOK_VISIBILITY_TIMEOUT}ms`,
+  reaperInterval: `${WEBHOOK_REAPER_INTERVAL}ms`,
+  circuitFailureThreshold: WEBHOOK_CIRCUIT_FAILURE_THRESHOLD,
+  circuitResetTimeout: `${WEBHOOK_CIRCUIT_RESET_TIMEOUT}ms`,
+  deliveryLogTtl: `${WEBHOOK_DELIVERY_LOG_TTL}s`,
+  deliveryLogMax: WEBHOOK_DELIVERY_LOG_MAX,
+  orderedDelivery: WEBHOOK_ORDERED_DELIVERY,
+  queueMaxLength: WEBHOOK_QUEUE_MAX_LENGTH || "unbounded",
+  queueOverflow: WEBHOOK_QUEUE_OVERFLOW,
+  replyActions: WEBHOOK_REPLY_ACTIONS,
+  batchMaxEvents: WEBHOOK_BATCH_MAX_EVENTS,
+  batchMaxWaitMs: `${WEBHOOK_BATCH_MAX_WAIT_MS}ms`,
+  payloadFormat: WEBHOOK_PAYLOAD_FORMAT,
+  dedupTtl: `${WEBHOOK_DEDUP_TTL}s`,
+  chunkMaxBytes: WEBHOOK_CHUNK_MAX_BYTES || "off",
+  payloadOffloadBytes: WEBHOOK_PAYLOAD_OFFLOAD_BYTES || "off",
+  compression: WEBHOOK_COMPRESSION,
+  schemaValidation: WEBHOOK_SCHEMA_VALIDATION,
+});
+
+console.log("[config] Webhook Signing:", {
+  enabled: !!WEBHOOK_SIGNING_SECRET,
+  rotating: !!(WEBHOOK_SIGNING_SECRET && WEBHOOK_SIGNING_SECRET_PREVIOUS),
+});
+
+console.log("[config] Webhook Client Auth:", {
+  oauth2: WEBHOOK_AUTH_TYPE === "oauth2" ? WEBHOOK_OAUTH_TOKEN_URL : false,
+  mtls: !!(WEBHOOK_TLS_CERT && WEBHOOK_TLS_KEY),
+  customCa: !!WEBHOOK_TLS_CA,
+  tlsDir: WEBHOOK_TLS_DIR || "none (per-destination certificates disabled)",
+});
+
+console.log("[config] Event Log:", {
+  maxLen: EVENT_LOG_MAX_LEN,
+  retention: `${EVENT_LOG_RETENTION}s`,
+});
+
+console.log("[config] Event Stream:", {
+  bufferSize: SSE_BUFFER_SIZE,
+  bufferPayloadLimit: SSE_BUFFER_PAYLOAD_LIMIT,
+  heartbeatInterval: `${SSE_HEARTBEAT_INTERVAL}ms`,
+});
+
 console.log("[config] Webhook Filters:", {
   skipStatus: WEBHOOK_SKIP_STATUS,
   skipGroups: WEBHOOK_SKIP_GROUPS,
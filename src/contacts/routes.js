@@ -1,8 +1,12 @@
 import { Router } from "express";
 import { getOrEnsureSession } from "../sessions/manager.js";
+import { validateSessionId } from "../middleware/validation.js";
+import { getBlocklist } from "../services/blocklist.js";
 
 export const router = Router();
 
+router.param("id", validateSessionId);
+
 router.post("/:id/contact-info", async (req, res) => {
   try {
     const s = await getOrEnsureSession(req.params.id);
@@ -12,3 +16,22 @@ router.post("/:id/contact-info", async (req, res) => {
     res.status(400).json({ ok: false, error: String(e) });
   }
 });
+
+/**
+ * Contacts blocked by the session (from blocklist.set / blocklist.update)
+ * @route GET /contacts/:id/blocklist
+ */
+router.get("/:id/blocklist", async (req, res, next) => {
+  try {
+    const blocklist = await getBlocklist(req.params.id);
+
+    res.json({
+      ok: true,
+      id: req.params.id,
+      count: blocklist.length,
+      blocklist,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
@@ -0,0 +1,26 @@
+import { Router } from "express";
+import {
+  openEventStream,
+  parseStreamFilter,
+} from "../services/event-stream.js";
+
+export const router = Router();
+
+/**
+ * Stream the events of every session as Server-Sent Events
+ * Query: events, exclude, sessions (comma-separated); resumes from Last-Event-ID
+ * @route GET /events/stream
+ */
+router.get("/stream", async (req, res, next) => {
+  try {
+    const filter = parseStreamFilter(req.query);
+
+    if (filter.error) {
+      return res.status(400).json({ ok: false, error: filter.error });
+    }
+
+    await openEventStream(req, res, filter);
+  } catch (error) {
+    next(error);
+  }
+});
@@ -7,12 +7,41 @@ import { PORT } from "./config.js";
 import { router as sessionsRouter } from "./sessions/routes.js";
 import { router as messagesRouter } from "./messages/routes.js";
 import { router as contactsRouter } from "./contacts/routes.js";
+import { router as webhooksRouter } from "./webhooks/routes.js";
+import { router as eventsRouter } from "./events/routes.js";
 import { restoreAllSessions } from "./sessions/bootstrap.js";
 import { webhookQueue } from "./services/webhook.js";
-import { getFilterConfig } from "./services/webhook-filter.js";
+import {
+  getFilterConfig,
+  explainMessageWebhook,
+  validateFilterUpdate,
+  updateFilterConfig,
+  resetFilterConfig,
+  initFilterSync,
+} from "./services/webhook-filter.js";
+import { getEventStreamStats, initEventStreamSync } from "./services/event-stream.js";
+import { scanEventRange, getEventLogInfo } from "./services/event-log.js";
+import { parseTime } from "./utils/time.js";
+import { buildSamplePayload, listSampleEvents } from "./services/webhook-samples.js";
+import {
+  EVENT_SCHEMA_VERSION,
+  getEventSchemas,
+  getSchemaViolations,
+  resetSchemaViolations,
+} from "./services/event-schemas.js";
+import {
+  resolveSessionDestination,
+  validateDestinationConfig,
+  initDestinationSync,
+} from "./services/webhook-destinations.js";
+import {
+  getSubscription,
+  initSubscriptionSync,
+} from "./services/webhook-subscriptions.js";
 import { redisPool } from "./services/redis-pool.js";
 import {
   authenticateApiKey,
+  validateSessionId,
   requestLogger,
   errorHandler,
   generalLimiter,
@@ -105,7 +134,7 @@ app.use((req, res, next) => {
       "Access-Control-Allow-Methods",
       "GET, POST, PUT, DELETE, OPTIONS"
     );
-    res.header("Access-Control-Allow-Headers", "Content-Type, X-API-Key");
+    res.header("Access-Control-Allow-Headers", "Content-Type, X-API-Key, Last-Event-ID");
   }
 
   if (req.method === "OPTIONS") {
@@ -158,6 +187,7 @@ app.get("/healthz/detailed", async (_req, res) => {
         },
       },
       webhooks: webhookStats,
+      eventStream: getEventStreamStats(),
       performance: monitor.getMetrics(),
       timestamp: new Date().toISOString(),
     });
@@ -175,6 +205,8 @@ app.get("/healthz/detailed", async (_req, res) => {
 app.use("/sessions", sessionsRouter);
 app.use("/messages", messagesRouter);
 app.use("/contacts", contactsRouter);
+app.use("/events", eventsRouter);
+app.use("/admin/webhooks", webhooksRouter);
 
 app.get("/admin/metrics", (req, res) => {
   res.json(monitor.getMetrics());
@@ -388,6 +420,70 @@ app.get("/admin/sessions/:id/reconnect-stats", async (req, res) => {
   }
 });
 
+// Admin endpoint: Re-enqueue logged events of a time range (after a receiver outage)
+app.post(
+  "/admin/sessions/:id/events/replay",
+  validateSessionId,
+  async (req, res) => {
+    try {
+      const from = parseTime(req.query.from);
+      const to = parseTime(req.query.to);
+
+      if (from === undefined || Number.isNaN(from) || Number.isNaN(to)) {
+        return res.status(400).json({
+          ok: false,
+          error: "'from' is required; 'from' and 'to' must be epoch milliseconds or ISO dates",
+        });
+      }
+
+      if (to !== undefined && to < from) {
+        return res.status(400).json({
+          ok: false,
+          error: "'to' must not be before 'from'",
+        });
+      }
+
+      const sessionId = req.params.id;
+      let enqueued = 0;
+      let filtered = 0;
+
+      // Replays resend what the webhook filters let through at the time
+      const matched = await scanEventRange(sessionId, from, to, async (events) => {
+        for (const entry of events) {
+          if (entry.filter === "filtered") {
+            filtered++;
+            continue;
+          }
+
+          const { cursor, event, ts } = entry;
+          const payload = entry.filter === "partial" ? entry.filteredPayload : entry.payload;
+          const result = await webhookQueue.enqueueEvent(sessionId, event, payload, {
+            replayed: { cursor, ts },
+          });
+          if (result.ok) enqueued++;
+        }
+      });
+
+      res.json({
+        ok: true,
+        id: sessionId,
+        from,
+        to: to ?? null,
+        matched,
+        filtered,
+        enqueued,
+        log: await getEventLogInfo(sessionId),
+      });
+    } catch (error) {
+      captureException(error, { context: "events_replay" });
+      res.status(500).json({
+        ok: false,
+        error: error.message,
+      });
+    }
+  }
+);
+
 app.get("/admin/webhook-filters", (req, res) => {
   const config = getFilterConfig();
   res.json({
@@ -399,10 +495,88 @@ app.get("/admin/webhook-filters", (req, res) => {
       skipChannels: "Set WEBHOOK_SKIP_CHANNELS=false to include channel messages",
       allowedEvents: "Set WEBHOOK_ALLOWED_EVENTS=messages.upsert,session.connected to whitelist events",
       deniedEvents: "Set WEBHOOK_DENIED_EVENTS=presence.update,typing to blacklist events",
+      runtime: "PUT /admin/webhook-filters with {\"skipGroups\": true} to change filters without redeploying",
+      rules: "PUT /admin/webhook-filters with {\"rules\": [{\"action\": \"exclude\", \"match\": {\"fromMe\": true}}]} to drop echoes",
     }
   });
 });
 
+// Admin endpoint: Update webhook filters at runtime (applied to every instance)
+app.put("/admin/webhook-filters", async (req, res) => {
+  try {
+    const validation = validateFilterUpdate(req.body);
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        ok: false,
+        error: "Invalid webhook filters",
+        details: validation.errors,
+      });
+    }
+
+    const config = await updateFilterConfig(req.body);
+    res.json({ ok: true, filters: config });
+  } catch (error) {
+    captureException(error, { context: "update_webhook_filters" });
+    res.status(500).json({
+      ok: false,
+      error: error.message,
+    });
+  }
+});
+
+// Admin endpoint: Show which filter or rule decides a sample message
+app.post("/admin/webhook-filters/dry-run", (req, res) => {
+  const { message, sessionId, rules } = req.body || {};
+
+  if (!message?.key?.remoteJid) {
+    return res.status(400).json({
+      ok: false,
+      error: "'message' must be a Baileys message with key.remoteJid",
+    });
+  }
+
+  if (rules !== undefined) {
+    const validation = validateFilterUpdate({ rules });
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        ok: false,
+        error: "Invalid rules",
+        details: validation.errors,
+      });
+    }
+  }
+
+  try {
+    res.json({
+      ok: true,
+      sessionId: sessionId || null,
+      result: explainMessageWebhook(message, sessionId, rules),
+    });
+  } catch (error) {
+    captureException(error, { context: "webhook_filters_dry_run" });
+    res.status(500).json({
+      ok: false,
+      error: error.message,
+    });
+  }
+});
+
+// Admin endpoint: Revert webhook filters to the env var defaults
+app.delete("/admin/webhook-filters", async (req, res) => {
+  try {
+    const config = await resetFilterConfig();
+    res.json({ ok: true, filters: config });
+  } catch (error) {
+    captureException(error, { context: "reset_webhook_filters" });
+    res.status(500).json({
+      ok: false,
+      error: error.message,
+    });
+  }
+});
+
 app.get("/admin/webhook-stats", async (req, res) => {
   const stats = await webhookQueue.getStats();
   res.json(stats);
@@ -418,6 +592,138 @@ app.post("/admin/webhook-retry", async (req, res) => {
   });
 });
 
+// Admin endpoint: JSON Schemas of the webhook envelope and every event payload
+app.get("/admin/events/schemas", (req, res) => {
+  res.json({ ok: true, ...getEventSchemas() });
+});
+
+// Admin endpoint: Emitted payloads that did not match their schema.
+// Answers 409 in strict mode once a mismatch was recorded, so a test run can
+// fail on it (curl --fail)
+app.get("/admin/events/schemas/violations", (req, res) => {
+  const violations = getSchemaViolations();
+  const failed = violations.mode === "strict" && violations.total > 0;
+
+  res.status(failed ? 409 : 200).json({ ok: !failed, ...violations });
+});
+
+app.delete("/admin/events/schemas/violations", (req, res) => {
+  resetSchemaViolations();
+  res.json({ ok: true });
+});
+
+// Admin endpoint: Send a sample event to a receiver and return its response
+app.post("/admin/webhook-test", async (req, res) => {
+  const {
+    event,
+    sessionId = "test-session",
+    subscriptionId,
+    destination: inlineDestination,
+    payload: customPayload,
+    dryRun = false,
+  } = req.body || {};
+
+  const events = listSampleEvents();
+  if (!events.includes(event)) {
+    return res.status(400).json({
+      ok: false,
+      error: `'event' must be one of: ${events.join(", ")}`,
+    });
+  }
+
+  try {
+    let destination;
+
+    if (inlineDestination) {
+      const validation = validateDestinationConfig(inlineDestination);
+      if (!validation.valid) {
+        return res.status(400).json({
+          ok: false,
+          error: "Invalid destination",
+          details: validation.errors,
+        });
+      }
+      destination = { id: "test", ...inlineDestination };
+    } else if (subscriptionId) {
+      destination = await getSubscription(subscriptionId);
+      if (!destination) {
+        return res.status(404).json({ ok: false, error: "Subscription not found" });
+      }
+    } else {
+      destination = await resolveSessionDestination(sessionId);
+    }
+
+    if (!destination.url) {
+      return res.status(400).json({
+        ok: false,
+        error: "No webhook URL configured for this target",
+      });
+    }
+
+    const id = `test_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const payload = customPayload ?? buildSamplePayload(event, sessionId);
+    const body = JSON.stringify({
+      schemaVersion: EVENT_SCHEMA_VERSION,
+      sessionId,
+      event,
+      payload,
+      ts: Date.now(),
+      test: true,
+    });
+
+    if (dryRun) {
+      // Nothing leaves the service: credentials are not used and no
+      // OAuth2 token is fetched, only the auth type is reported
+      const headers = await webhookQueue.buildRequestHeaders(destination, body, id, {
+        dryRun: true,
+      });
+
+      return res.json({
+        ok: true,
+        dryRun: true,
+        request: {
+          id,
+          url: destination.url,
+          authType: destination.authType || "none",
+          headers,
+          body: JSON.parse(body),
+        },
+      });
+    }
+
+    try {
+      const response = await webhookQueue.post(destination, body, id);
+
+      res.json({
+        ok: true,
+        delivered: response.ok,
+        request: { id, url: destination.url, event },
+        response: {
+          status: response.status,
+          statusText: response.statusText,
+          latencyMs: response.latencyMs,
+          headers: response.headers,
+          body: response.body,
+        },
+      });
+    } catch (err) {
+      res.status(502).json({
+        ok: false,
+        delivered: false,
+        request: { id, url: destination.url, event },
+        error: err.message,
+        latencyMs: err.latencyMs ?? null,
+      });
+    }
+  } catch (error) {
+    captureException(error, { context: "webhook_test" });
+    res.status(500).json({
+      ok: false,
+      error: error.message,
+    });
+  }
+});
+
 app.use((req, res) => {
   res.status(404).json({
     ok: false,
@@ -493,6 +799,46 @@ const server = app.listen(PORT, async () => {
     ╚════════════════════════════════════════╝
   `);
 
+  try {
+    await initFilterSync();
+  } catch (error) {
+    console.error(
+      "[Bootstrap] Failed to load webhook filters, using env defaults:",
+      error?.message || error
+    );
+    captureException(error, { context: "filter_sync" });
+  }
+
+  try {
+    await initDestinationSync();
+  } catch (error) {
+    console.error(
+      "[Bootstrap] Failed to follow session webhook changes, caching them for 30s:",
+      error?.message || error
+    );
+    captureException(error, { context: "destination_sync" });
+  }
+
+  try {
+    await initSubscriptionSync();
+  } catch (error) {
+    console.error(
+      "[Bootstrap] Failed to follow subscription changes, refreshing every 10s:",
+      error?.message || error
+    );
+    captureException(error, { context: "subscription_sync" });
+  }
+
+  try {
+    await initEventStreamSync();
+  } catch (error) {
+    console.error(
+      "[Bootstrap] Failed to share live events, streaming this instance only:",
+      error?.message || error
+    );
+    captureException(error, { context: "event_stream_sync" });
+  }
+
   try {
     console.log("[Bootstrap] Restoring sessions from Redis...");
     await restoreAllSessions();
@@ -0,0 +1,111 @@
+import { redisPool } from "./redis-pool.js";
+
+/**
+ * Per-session blocklist
+ *
+ * Seeded from `blocklist.set` and kept current with `blocklist.update`.
+ * Persisted in the Redis set `blocklist:<sessionId>` and mirrored in memory
+ * so message filtering stays synchronous.
+ */
+
+const BLOCKLIST_PREFIX = "blocklist:";
+
+const blocklists = new Map();
+
+/**
+ * Strip the device suffix: "123:4@s.whatsapp.net" -> "123@s.whatsapp.net"
+ */
+function normalizeJid(jid) {
+  if (!jid || typeof jid !== "string") return null;
+  const [user, server] = jid.split("@");
+  return server ? `${user.split(":")[0]}@${server}` : jid;
+}
+
+function normalizeList(jids) {
+  return (Array.isArray(jids) ? jids : [])
+    .map(normalizeJid)
+    .filter(Boolean);
+}
+
+/**
+ * Load the persisted blocklist of a session into memory (on socket creation)
+ */
+export async function loadBlocklist(sessionId) {
+  const redis = await redisPool.getClient();
+  const jids = await redis.smembers(BLOCKLIST_PREFIX + sessionId);
+  blocklists.set(sessionId, new Set(jids));
+  return jids;
+}
+
+/**
+ * Replace the blocklist of a session (blocklist.set)
+ */
+export async function setBlocklist(sessionId, jids) {
+  const list = normalizeList(jids);
+  const key = BLOCKLIST_PREFIX + sessionId;
+  const redis = await redisPool.getClient();
+
+  const multi = redis.multi().del(key);
+  if (list.length > 0) multi.sadd(key, ...list);
+  await multi.exec();
+
+  blocklists.set(sessionId, new Set(list));
+}
+
+/**
+ * Apply a blocklist.update ({ blocklist, type: "add" | "remove" })
+ */
+export async function updateBlocklist(sessionId, jids, type) {
+  const list = normalizeList(jids);
+  if (list.length === 0) return;
+
+  const key = BLOCKLIST_PREFIX + sessionId;
+  const redis = await redisPool.getClient();
+  const current = blocklists.get(sessionId) || new Set();
+
+  if (type === "remove") {
+    await redis.srem(key, ...list);
+    list.forEach((jid) => current.delete(jid));
+  } else {
+    await redis.sadd(key, ...list);
+    list.forEach((jid) => current.add(jid));
+  }
+
+  blocklists.set(sessionId, current);
+}
+
+/**
+ * Stored blocklist of a session (read-only: the in-memory copy is untouched)
+ */
+export async function getBlocklist(sessionId) {
+  const redis = await redisPool.getClient();
+  return redis.smembers(BLOCKLIST_PREFIX + sessionId);
+}
+
+export async function deleteBlocklist(sessionId) {
+  const redis = await redisPool.getClient();
+  await redis.del(BLOCKLIST_PREFIX + sessionId);
+  blocklists.delete(sessionId);
+}
+
+/**
+ * Whether the sender of a message is blocked by the session.
+ * Checks the chat (private) or participant (group) JID and their PN/LID alternates.
+ * @param {Object} key - Baileys message key
+ */
+export function isBlockedSender(sessionId, key) {
+  const blocked = blocklists.get(sessionId);
+  if (!blocked || blocked.size === 0 || !key) return false;
+
+  const candidates = [
+    key.remoteJid,
+    key.remoteJidAlt,
+    key.participant,
+    key.participantAlt,
+  ];
+
+  return candidates.some((jid) => {
+    const normalized = normalizeJid(jid);
+    return normalized !== null && blocked.has(normalized);
+  });
+}
@@ -0,0 +1,156 @@
+import { redisPool } from "./redis-pool.js";
+import { EVENT_LOG_MAX_LEN, EVENT_LOG_RETENTION } from "../config.js";
+
+/**
+ * Durable per-session event log
+ *
+ * Every session event handed to sendWebhook is appended to the Redis Stream
+ * `events:log:<sessionId>`, as emitted, before the webhook filters and
+ * deduplication. Each entry records the filter decision: `passed`,
+ * `partial` (with the `filteredPayload` that was sent on) or `filtered`.
+ * Entry ids double as cursors for the pull API and as time bounds for
+ * replays. Streams are capped at EVENT_LOG_MAX_LEN entries and
+ * EVENT_LOG_RETENTION seconds.
+ */
+
+const LOG_PREFIX = "events:log:";
+
+// Highest sequence of a stream id, so "<ms>-<MAX_SEQ>" covers a whole millisecond
+const MAX_SEQ = "18446744073709551615";
+
+export function isEventLogEnabled() {
+  return EVENT_LOG_MAX_LEN > 0;
+}
+
+export function isValidCursor(cursor) {
+  return typeof cursor === "string" && /^\d+-\d+$/.test(cursor);
+}
+
+function parseEntry([cursor, fields]) {
+  const data = {};
+  for (let i = 0; i < fields.length; i += 2) {
+    data[fields[i]] = fields[i + 1];
+  }
+
+  const entry = {
+    cursor,
+    event: data.event,
+    payload: JSON.parse(data.payload || "null"),
+    ts: parseInt(data.ts, 10),
+    filter: data.filter || "passed",
+  };
+  if (data.filteredPayload !== undefined) {
+    entry.filteredPayload = JSON.parse(data.filteredPayload);
+  }
+  return entry;
+}
+
+/**
+ * Append an event to the log of its session. Never throws.
+ * @param {Object} [decision] - { filter, filteredPayload } from the webhook filters
+ */
+export async function appendEvent(sessionId, event, payload, decision = {}) {
+  if (!sessionId || !isEventLogEnabled()) return null;
+
+  try {
+    const key = LOG_PREFIX + sessionId;
+    const ts = Date.now();
+    const redis = await redisPool.getClient();
+
+    const fields = [
+      "event",
+      event,
+      "payload",
+      JSON.stringify(payload ?? null),
+      "ts",
+      ts,
+      "filter",
+      decision.filter || "passed",
+    ];
+    if (decision.filter === "partial") {
+      fields.push("filteredPayload", JSON.stringify(decision.filteredPayload ?? null));
+    }
+
+    const [[, cursor]] = await redis
+      .multi()
+      .xadd(key, "MAXLEN", "~", EVENT_LOG_MAX_LEN, "*", ...fields)
+      .xtrim(key, "MINID", "~", ts - EVENT_LOG_RETENTION * 1000)
+      .expire(key, EVENT_LOG_RETENTION)
+      .exec();
+
+    return cursor;
+  } catch (err) {
+    console.error(`[EventLog] Failed to append ${event} for ${sessionId}:`, err?.message || err);
+    return null;
+  }
+}
+
+/**
+ * Events after a cursor, oldest first
+ * @param {Object} options - { after, limit }
+ * @returns {Promise<Object>} - { events, nextCursor, hasMore }
+ */
+export async function readEvents(sessionId, { after, limit = 100 } = {}) {
+  const redis = await redisPool.getClient();
+  const entries = await redis.xrange(
+    LOG_PREFIX + sessionId,
+    after ? `(${after}` : "-",
+    "+",
+    "COUNT",
+    limit + 1
+  );
+
+  const events = entries.slice(0, limit).map(parseEntry);
+
+  return {
+    events,
+    nextCursor: events.length > 0 ? events[events.length - 1].cursor : after || null,
+    hasMore: entries.length > limit,
+  };
+}
+
+/**
+ * Walk the events logged between two timestamps, in pages
+ * @param {number} from - Epoch ms (inclusive)
+ * @param {number} [to] - Epoch ms (inclusive), defaults to now
+ * @param {Function} onPage - async (events) => void
+ * @returns {Promise<number>} - Number of events visited
+ */
+export async function scanEventRange(sessionId, from, to, onPage, pageSize = 500) {
+  const redis = await redisPool.getClient();
+  const key = LOG_PREFIX + sessionId;
+  const end = to !== undefined ? `${to}-${MAX_SEQ}` : "+";
+  let start = `${from}-0`;
+  let total = 0;
+
+  while (true) {
+    const entries = await redis.xrange(key, start, end, "COUNT", pageSize);
+    if (entries.length === 0) break;
+
+    const events = entries.map(parseEntry);
+    await onPage(events);
+    total += events.length;
+
+    if (entries.length < pageSize) break;
+    start = `(${entries[entries.length - 1][0]}`;
+  }
+
+  return total;
+}
+
+export async function getEventLogInfo(sessionId) {
+  const redis = await redisPool.getClient();
+  const key = LOG_PREFIX + sessionId;
+
+  const [length, [first], [last]] = await Promise.all([
+    redis.xlen(key),
+    redis.xrange(key, "-", "+", "COUNT", 1),
+    redis.xrevrange(key, "+", "-", "COUNT", 1),
+  ]);
+
+  return {
+    length,
+    firstCursor: first?.[0] || null,
+    lastCursor: last?.[0] || null,
+  };
+}
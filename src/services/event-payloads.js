@@ -0,0 +1,138 @@
+import { formatMessagesPayload } from "./message-normalizer.js";
+
+/**
+ * Event payload builders
+ *
+ * Turn what Baileys emits into the payloads socket-factory.js sends. Kept
+ * free of the socket so scripts/check-event-schemas.js can run them on raw
+ * fixtures and validate the result against the event schemas.
+ */
+
+/**
+ * JSON-safe copy of Baileys data: Buffers and Uint8Arrays become
+ * { type: "Buffer", data: "<base64>" }
+ */
+export function serializeBaileysData(data) {
+  return JSON.parse(
+    JSON.stringify(data, (key, value) => {
+      if (value?.type === "Buffer" && Array.isArray(value?.data)) {
+        return {
+          type: "Buffer",
+          data: Buffer.from(value.data).toString("base64"),
+        };
+      }
+      if (value instanceof Buffer) {
+        return {
+          type: "Buffer",
+          data: value.toString("base64"),
+        };
+      }
+      if (value instanceof Uint8Array) {
+        return {
+          type: "Buffer",
+          data: Buffer.from(value).toString("base64"),
+        };
+      }
+      return value;
+    })
+  );
+}
+
+/**
+ * messages.upsert payload in the configured format
+ * @param {Object} options - { format, selfJid }
+ */
+export function buildMessagesUpsertPayload(type, messages, { format, selfJid } = {}) {
+  return formatMessagesPayload(
+    serializeBaileysData({ type, messages }),
+    format,
+    { selfJid }
+  );
+}
+
+function pickKey(key) {
+  return {
+    remoteJid: key.remoteJid,
+    id: key.id,
+    participant: key.participant,
+    fromMe: key.fromMe
+  };
+}
+
+function toIsoTimestamp(seconds) {
+  return seconds ? new Date(seconds * 1000).toISOString() : null;
+}
+
+export function buildMessagesUpdatePayload(updates) {
+  if (!Array.isArray(updates)) updates = [updates];
+
+  return updates.map(({ key, update }) => ({
+    key: pickKey(key),
+    update,
+    timestamp: new Date().toISOString()
+  }));
+}
+
+export function buildReceiptUpdatePayload(updates) {
+  if (!Array.isArray(updates)) updates = [updates];
+
+  return updates.map(({ key, receipt }) => ({
+    key: pickKey(key),
+    receipt: {
+      readTimestamp: toIsoTimestamp(receipt?.readTimestamp),
+      deliveredTimestamp: toIsoTimestamp(receipt?.deliveredTimestamp),
+      playedTimestamp: toIsoTimestamp(receipt?.playedTimestamp),
+      userJid: receipt?.userJid,
+    },
+    timestamp: new Date().toISOString()
+  }));
+}
+
+export function buildQrPayload(sessionId, qr, generatedAt) {
+  return {
+    sessionId,
+    qr,
+    generatedAt,
+    expiresAt: generatedAt + 60000,
+  };
+}
+
+/**
+ * session.connected payload
+ * @param {Object} creds - Auth state credentials of the session
+ */
+export function buildSessionConnectedPayload(sessionId, connectedAt, creds, isNewLogin) {
+  return {
+    sessionId,
+    status: "open",
+    connectedAt,
+    isNewLogin: isNewLogin || false,
+    phone: creds?.me?.id || null,
+    name: creds?.me?.name || null,
+    platform: creds?.platform || null,
+    deviceManufacturer: creds?.deviceManufacturer || null,
+    deviceModel: creds?.deviceModel || null,
+    osVersion: creds?.osVersion || null,
+  };
+}
+
+/**
+ * session.disconnected payload
+ * @param {Object} lastDisconnect - From connection.update
+ * @param {Object} reasons - Baileys DisconnectReason
+ */
+export function buildSessionDisconnectedPayload(sessionId, lastDisconnect, reasons) {
+  const code = lastDisconnect?.error?.output?.statusCode;
+
+  return {
+    sessionId,
+    status: "close",
+    disconnectedAt: Date.now(),
+    reason: lastDisconnect?.error?.output?.payload?.error || "unknown",
+    statusCode: code,
+    isLoggedOut: code === reasons.loggedOut,
+    needsReconnect: code === reasons.restartRequired,
+    connectionLost: code === reasons.connectionLost,
+    timedOut: code === reasons.timedOut,
+  };
+}
@@ -0,0 +1,405 @@
+import { getBaileysEventReference } from "./webhook-filter.js";
+import { validateSchema } from "../utils/json-schema.js";
+import { WEBHOOK_SCHEMA_VALIDATION } from "../config.js";
+
+/**
+ * Event payload schemas
+ *
+ * One JSON Schema per event of getBaileysEventReference(), describing the
+ * payload socket-factory.js sends, plus the envelope around it. Bump
+ * EVENT_SCHEMA_VERSION whenever a payload shape changes in a way receivers
+ * could notice (major for removals/renames, minor for additions).
+ *
+ * Schemas only pin the fields we produce or rely on; Baileys objects may
+ * carry more properties.
+ */
+
+export const EVENT_SCHEMA_VERSION = "1.1.0";
+
+const DIALECT = "https://json-schema.org/draft/2020-12/schema";
+
+const nullableString = { type: ["string", "null"] };
+
+const $defs = {
+  messageKey: {
+    type: "object",
+    required: ["remoteJid", "id"],
+    properties: {
+      remoteJid: { type: "string" },
+      id: { type: "string" },
+      fromMe: { type: ["boolean", "null"] },
+      participant: nullableString,
+    },
+  },
+
+  rawMessage: {
+    type: "object",
+    required: ["key"],
+    properties: {
+      key: { $ref: "#/$defs/messageKey" },
+      message: { type: ["object", "null"] },
+      messageTimestamp: { type: ["integer", "string", "object"] },
+      pushName: nullableString,
+    },
+  },
+
+  normalizedMessage: {
+    type: "object",
+    required: ["id", "key", "chatJid", "chatType", "fromMe", "sender", "kind"],
+    properties: {
+      id: nullableString,
+      key: { $ref: "#/$defs/messageKey" },
+      chatJid: nullableString,
+      chatType: { enum: ["status", "group", "channel", "private", "other", "unknown"] },
+      fromMe: { type: "boolean" },
+      sender: {
+        type: "object",
+        required: ["jid", "phone", "lid", "pushName"],
+        properties: {
+          jid: nullableString,
+          phone: nullableString,
+          lid: nullableString,
+          pushName: nullableString,
+        },
+      },
+      kind: { type: "string" },
+      text: nullableString,
+      media: { type: ["object", "null"] },
+      quotedMessageId: nullableString,
+      quotedParticipant: nullableString,
+      mentions: { type: "array", items: { type: "string" } },
+      timestamp: { type: ["integer", "null"] },
+      timestampMs: { type: ["integer", "null"] },
+    },
+  },
+
+  idObject: {
+    type: "object",
+    required: ["id"],
+    properties: { id: { type: "string" } },
+  },
+};
+
+const idObjectList = { type: "array", items: { $ref: "#/$defs/idObject" } };
+
+const PAYLOAD_SCHEMAS = {
+  "connection.update": {
+    type: "object",
+    properties: {
+      connection: { enum: ["connecting", "open", "close"] },
+      qr: { type: "string" },
+      isNewLogin: { type: "boolean" },
+      lastDisconnect: { type: "object" },
+    },
+  },
+
+  "creds.update": { type: "object" },
+
+  "messages.upsert": {
+    type: "object",
+    required: ["type", "messages"],
+    properties: {
+      type: { type: "string" },
+      format: { const: "normalized" },
+      messages: {
+        type: "array",
+        items: { anyOf: [{ $ref: "#/$defs/normalizedMessage" }, { $ref: "#/$defs/rawMessage" }] },
+      },
+      normalized: { type: "array", items: { $ref: "#/$defs/normalizedMessage" } },
+    },
+  },
+
+  "messages.update": {
+    type: "array",
+    items: {
+      type: "object",
+      required: ["key", "update"],
+      properties: {
+        key: { $ref: "#/$defs/messageKey" },
+        update: { type: "object" },
+        timestamp: { type: "string" },
+      },
+    },
+  },
+
+  "messages.delete": {
+    anyOf: [
+      {
+        type: "object",
+        required: ["keys"],
+        properties: { keys: { type: "array", items: { $ref: "#/$defs/messageKey" } } },
+      },
+      {
+        type: "object",
+        required: ["jid", "all"],
+        properties: { jid: { type: "string" }, all: { const: true } },
+      },
+    ],
+  },
+
+  "messages.reaction": {
+    type: "array",
+    items: {
+      type: "object",
+      required: ["key", "reaction"],
+      properties: {
+        key: { $ref: "#/$defs/messageKey" },
+        reaction: { type: "object" },
+      },
+    },
+  },
+
+  "message-receipt.update": {
+    type: "array",
+    items: {
+      type: "object",
+      required: ["key", "receipt"],
+      properties: {
+        key: { $ref: "#/$defs/messageKey" },
+        receipt: {
+          type: "object",
+          properties: {
+            readTimestamp: nullableString,
+            deliveredTimestamp: nullableString,
+            playedTimestamp: nullableString,
+            userJid: nullableString,
+          },
+        },
+        timestamp: { type: "string" },
+      },
+    },
+  },
+
+  "chats.upsert": idObjectList,
+  "chats.update": idObjectList,
+  "chats.delete": { type: "array", items: { type: "string" } },
+
+  "contacts.upsert": idObjectList,
+  "contacts.update": idObjectList,
+
+  "groups.upsert": idObjectList,
+  "groups.update": idObjectList,
+  "group-participants.update": {
+    type: "object",
+    required: ["id", "participants", "action"],
+    properties: {
+      id: { type: "string" },
+      author: nullableString,
+      participants: { type: "array", items: { type: ["string", "object"] } },
+      action: { type: "string" },
+    },
+  },
+
+  "messaging-history.set": {
+    type: "object",
+    required: ["chats", "contacts", "messages"],
+    properties: {
+      chats: { type: "array" },
+      contacts: { type: "array" },
+      messages: { type: "array", items: { $ref: "#/$defs/rawMessage" } },
+      isLatest: { type: ["boolean", "null"] },
+    },
+  },
+
+  "presence.update": {
+    type: "object",
+    required: ["id", "presences"],
+    properties: {
+      id: { type: "string" },
+      presences: { type: "object" },
+    },
+  },
+
+  call: {
+    type: "array",
+    items: {
+      type: "object",
+      required: ["id", "from", "status"],
+      properties: {
+        id: { type: "string" },
+        from: { type: "string" },
+        chatId: { type: "string" },
+        status: { type: "string" },
+        isVideo: { type: "boolean" },
+        isGroup: { type: "boolean" },
+      },
+    },
+  },
+
+  "blocklist.set": {
+    type: "object",
+    required: ["blocklist"],
+    properties: { blocklist: { type: "array", items: { type: "string" } } },
+  },
+
+  "blocklist.update": {
+    type: "object",
+    required: ["blocklist", "type"],
+    properties: {
+      blocklist: { type: "array", items: { type: "string" } },
+      type: { enum: ["add", "remove"] },
+    },
+  },
+
+  "qr.updated": {
+    type: "object",
+    required: ["sessionId", "qr", "generatedAt", "expiresAt"],
+    properties: {
+      sessionId: { type: "string" },
+      qr: { type: "string" },
+      generatedAt: { type: "integer" },
+      expiresAt: { type: "integer" },
+    },
+  },
+
+  "session.connected": {
+    type: "object",
+    required: ["sessionId", "status", "connectedAt", "isNewLogin"],
+    properties: {
+      sessionId: { type: "string" },
+      status: { const: "open" },
+      connectedAt: { type: "integer" },
+      isNewLogin: { type: "boolean" },
+      phone: nullableString,
+      name: nullableString,
+      platform: nullableString,
+    },
+  },
+
+  "session.disconnected": {
+    type: "object",
+    required: ["sessionId", "status", "disconnectedAt", "reason", "isLoggedOut"],
+    properties: {
+      sessionId: { type: "string" },
+      status: { const: "close" },
+      disconnectedAt: { type: "integer" },
+      reason: { type: "string" },
+      statusCode: { type: ["integer", "null"] },
+      isLoggedOut: { type: "boolean" },
+    },
+  },
+
+  "webhook.circuit": {
+    type: "object",
+    required: ["url", "previous", "state", "ts"],
+    properties: {
+      url: { type: "string" },
+      previous: { enum: ["closed", "open", "half-open"] },
+      state: { enum: ["closed", "open", "half-open"] },
+      reason: { type: "string" },
+      failures: { type: "integer" },
+      ts: { type: "integer" },
+    },
+  },
+};
+
+const ENVELOPE_SCHEMA = {
+  $schema: DIALECT,
+  $id: `baileys-svc/events/${EVENT_SCHEMA_VERSION}/envelope`,
+  title: "Webhook envelope",
+  type: "object",
+  required: ["schemaVersion", "sessionId", "event", "payload", "ts"],
+  properties: {
+    schemaVersion: { type: "string" },
+    sessionId: nullableString,
+    event: { type: "string" },
+    payload: {},
+    ts: { type: "integer" },
+    replayed: {
+      type: "object",
+      properties: { cursor: { type: "string" }, ts: { type: "integer" } },
+    },
+    test: { type: "boolean" },
+    chunkId: { type: "string" },
+    chunkIndex: { type: "integer" },
+    chunkTotal: { type: "integer" },
+  },
+};
+
+/**
+ * Self-contained JSON Schema of an event payload, or null for unknown events
+ */
+export function getEventSchema(event) {
+  const schema = PAYLOAD_SCHEMAS[event];
+  if (!schema) return null;
+
+  return {
+    $schema: DIALECT,
+    $id: `baileys-svc/events/${EVENT_SCHEMA_VERSION}/${event}`,
+    title: `${event} payload`,
+    ...schema,
+    $defs,
+  };
+}
+
+/**
+ * Every schema, keyed by event name
+ */
+export function getEventSchemas() {
+  const events = {};
+  for (const event of Object.values(getBaileysEventReference()).flat()) {
+    events[event] = getEventSchema(event);
+  }
+
+  return { schemaVersion: EVENT_SCHEMA_VERSION, envelope: ENVELOPE_SCHEMA, events };
+}
+
+/**
+ * Validate a payload against the schema of its event
+ * @returns {string[]} - Validation errors (empty when valid or the event has no schema)
+ */
+export function validateEventPayload(event, payload) {
+  const schema = getEventSchema(event);
+  if (!schema) return [`No schema for event '${event}'`];
+  return validateSchema(payload, schema);
+}
+
+// Latest mismatches kept for getSchemaViolations()
+const VIOLATIONS_MAX = 100;
+const violations = { total: 0, byEvent: {}, recent: [] };
+
+/**
+ * Check an emitted payload according to WEBHOOK_SCHEMA_VALIDATION: "off"
+ * skips, "warn" and "strict" log and record mismatches. The payload is sent
+ * either way; in strict mode (test environments) GET
+ * /admin/events/schemas/violations fails once a mismatch was recorded.
+ */
+export function checkEmittedPayload(event, payload) {
+  if (WEBHOOK_SCHEMA_VALIDATION === "off") return;
+
+  const errors = validateEventPayload(event, payload);
+  if (errors.length === 0) return;
+
+  violations.total++;
+  violations.byEvent[event] = (violations.byEvent[event] || 0) + 1;
+  violations.recent.unshift({ event, errors: errors.slice(0, 5), ts: Date.now() });
+  violations.recent.length = Math.min(violations.recent.length, VIOLATIONS_MAX);
+
+  const message = `[EventSchemas] ${event} payload does not match schema ${EVENT_SCHEMA_VERSION}: ${errors.slice(0, 5).join("; ")}`;
+
+  if (WEBHOOK_SCHEMA_VALIDATION === "strict") {
+    console.error(message);
+  } else {
+    console.warn(message);
+  }
+}
+
+/**
+ * Mismatches recorded by checkEmittedPayload since startup (or the last reset)
+ * @returns {Object} - { mode, schemaVersion, total, byEvent, recent } recent is newest first
+ */
+export function getSchemaViolations() {
+  return {
+    mode: WEBHOOK_SCHEMA_VALIDATION,
+    schemaVersion: EVENT_SCHEMA_VERSION,
+    total: violations.total,
+    byEvent: { ...violations.byEvent },
+    recent: [...violations.recent],
+  };
+}
+
+export function resetSchemaViolations() {
+  violations.total = 0;
+  violations.byEvent = {};
+  violations.recent = [];
+}
@@ -0,0 +1,280 @@
+import { EventEmitter } from "events";
+import { redisPool } from "./redis-pool.js";
+import { validateEventName } from "./webhook-filter.js";
+import {
+  SSE_BUFFER_SIZE,
+  SSE_BUFFER_PAYLOAD_LIMIT,
+  SSE_HEARTBEAT_INTERVAL,
+} from "../config.js";
+
+/**
+ * Server-Sent Events stream of session events
+ *
+ * Every event handed to sendWebhook is appended to the capped Redis Stream
+ * `events:buffer` (its entry id becomes the SSE `id`) and published on the
+ * `events:live` channel, so clients connected to any instance receive it.
+ * Each instance relays the channel to its own clients through a local bus;
+ * until initEventStreamSync() ran (or when publishing fails) events only
+ * reach the clients of the instance that emitted them. Clients reconnecting
+ * with `Last-Event-ID` get the buffered events they missed before going live.
+ */
+
+const BUFFER_KEY = "events:buffer";
+const LIVE_CHANNEL = "events:live";
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+let localSeq = 0;
+let liveSync = false;
+
+/**
+ * Compare two stream ids ("<ms>-<seq>")
+ */
+function compareIds(a, b) {
+  const [aMs, aSeq] = a.split("-").map(Number);
+  const [bMs, bSeq] = b.split("-").map(Number);
+  return aMs - bMs || aSeq - bSeq;
+}
+
+function parseEntry([id, fields]) {
+  const data = {};
+  for (let i = 0; i < fields.length; i += 2) {
+    data[fields[i]] = fields[i + 1];
+  }
+
+  return {
+    id,
+    sessionId: data.sessionId || null,
+    event: data.event,
+    payload: data.oversized === "1" ? null : JSON.parse(data.payload || "null"),
+    truncated: data.oversized === "1",
+    ts: parseInt(data.ts, 10),
+  };
+}
+
+/**
+ * Buffer an event and broadcast it to connected clients. Never throws.
+ */
+export async function publishEvent(sessionId, event, payload) {
+  const ts = Date.now();
+  let id = null;
+  let truncated = false;
+
+  try {
+    if (SSE_BUFFER_SIZE > 0) {
+      const body = JSON.stringify(payload ?? null);
+      truncated = body.length > SSE_BUFFER_PAYLOAD_LIMIT;
+
+      const redis = await redisPool.getClient();
+      id = await redis.xadd(
+        BUFFER_KEY,
+        "MAXLEN",
+        "~",
+        SSE_BUFFER_SIZE,
+        "*",
+        "sessionId",
+        sessionId || "",
+        "event",
+        event,
+        "payload",
+        truncated ? "" : body,
+        "oversized",
+        truncated ? "1" : "0",
+        "ts",
+        ts
+      );
+    }
+  } catch (err) {
+    console.error("[EventStream] Failed to buffer event:", err?.message || err);
+  }
+
+  // Unbuffered events get an id that can't be resumed from
+  const item = {
+    id: id || `local-${++localSeq}`,
+    sessionId: sessionId || null,
+    event,
+    payload,
+    truncated: false,
+    ts,
+  };
+
+  if (liveSync) {
+    try {
+      const redis = await redisPool.getClient();
+      await redis.publish(LIVE_CHANNEL, JSON.stringify(item));
+      return;
+    } catch (err) {
+      console.error("[EventStream] Failed to publish event:", err?.message || err);
+    }
+  }
+
+  bus.emit("event", item);
+}
+
+/**
+ * Relay events published by every instance to the clients of this one
+ */
+export async function initEventStreamSync() {
+  const redis = await redisPool.getClient();
+  const subscriber = redis.duplicate();
+
+  subscriber.on("message", (channel, message) => {
+    if (channel !== LIVE_CHANNEL) return;
+
+    try {
+      bus.emit("event", JSON.parse(message));
+    } catch (err) {
+      console.error("[EventStream] Invalid live event:", err.message);
+    }
+  });
+
+  subscriber.on("error", (err) => {
+    console.error("[EventStream] Subscriber error:", err?.message || err);
+  });
+
+  await subscriber.subscribe(LIVE_CHANNEL);
+  liveSync = true;
+
+  console.log("[EventStream] Live events shared through Redis");
+}
+
+/**
+ * Buffered events after `lastEventId`, oldest first
+ * @returns {Promise<Object>} - { events, gap } gap = older events were trimmed
+ */
+async function readBufferAfter(lastEventId) {
+  const redis = await redisPool.getClient();
+  const [first] = await redis.xrange(BUFFER_KEY, "-", "+", "COUNT", 1);
+  const entries = await redis.xrange(BUFFER_KEY, `(${lastEventId}`, "+");
+
+  return {
+    events: entries.map(parseEntry),
+    gap: !!first && compareIds(first[0], lastEventId) > 0,
+  };
+}
+
+/**
+ * Parse the comma-separated `events` / `exclude` query params
+ * @returns {Object} - { include, exclude } or { error }
+ */
+export function parseStreamFilter(query = {}) {
+  const split = (value) =>
+    value
+      ? String(value)
+        .split(",")
+        .map((e) => e.trim())
+        .filter(Boolean)
+      : [];
+
+  const include = split(query.events);
+  const exclude = split(query.exclude);
+
+  for (const eventName of [...include, ...exclude]) {
+    if (!validateEventName(eventName).valid) {
+      return { error: `Unknown event '${eventName}'` };
+    }
+  }
+
+  return { include, exclude, sessions: split(query.sessions) };
+}
+
+function matchesFilter(item, { sessionId, include, exclude, sessions }) {
+  if (sessionId && item.sessionId !== sessionId) return false;
+  if (sessions.length > 0 && !sessions.includes(item.sessionId)) return false;
+  if (include.length > 0 && !include.includes(item.event)) return false;
+  if (exclude.includes(item.event)) return false;
+  return true;
+}
+
+function writeEvent(res, item) {
+  const data = JSON.stringify({
+    sessionId: item.sessionId,
+    event: item.event,
+    payload: item.payload,
+    ...(item.truncated ? { truncated: true } : {}),
+    ts: item.ts,
+  });
+
+  res.write(`id: ${item.id}\nevent: ${item.event}\ndata: ${data}\n\n`);
+  res.flush?.();
+}
+
+/**
+ * Serve an SSE stream on an Express response
+ * @param {Object} options - { sessionId, include, exclude, sessions }
+ */
+export async function openEventStream(req, res, options) {
+  const filter = { sessions: [], include: [], exclude: [], ...options };
+  const lastEventId = req.get("last-event-id") || req.query.lastEventId;
+
+  res.status(200);
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders?.();
+  res.write("retry: 3000\n\n");
+
+  // Live events received while the backlog is read wait here
+  let pending = [];
+  let cursor = null;
+
+  const onEvent = (item) => {
+    if (!matchesFilter(item, filter)) return;
+    if (pending) {
+      pending.push(item);
+      return;
+    }
+    writeEvent(res, item);
+  };
+  bus.on("event", onEvent);
+
+  const heartbeat = setInterval(() => {
+    res.write(": ping\n\n");
+    res.flush?.();
+  }, SSE_HEARTBEAT_INTERVAL);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    bus.off("event", onEvent);
+  });
+
+  if (lastEventId && /^\d+-\d+$/.test(lastEventId)) {
+    try {
+      const { events, gap } = await readBufferAfter(lastEventId);
+
+      if (gap) {
+        writeEvent(res, {
+          id: lastEventId,
+          sessionId: filter.sessionId || null,
+          event: "stream.gap",
+          payload: { reason: "Events after Last-Event-ID were trimmed from the buffer" },
+          ts: Date.now(),
+        });
+      }
+
+      for (const item of events) {
+        if (matchesFilter(item, filter)) writeEvent(res, item);
+        cursor = item.id;
+      }
+    } catch (err) {
+      console.error("[EventStream] Failed to replay buffer:", err?.message || err);
+    }
+  }
+
+  // Drop live events already sent from the buffer
+  for (const item of pending) {
+    if (cursor && !item.id.startsWith("local-") && compareIds(item.id, cursor) <= 0) {
+      continue;
+    }
+    writeEvent(res, item);
+  }
+  pending = null;
+}
+
+export function getEventStreamStats() {
+  return { clients: bus.listenerCount("event") };
+}
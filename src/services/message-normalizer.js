@@ -0,0 +1,253 @@
+import { getJidType } from "./webhook-filter.js";
+
+/**
+ * Normalized message schema
+ *
+ * Flattens a (serialized) Baileys WAMessage into a stable shape so webhook
+ * consumers don't have to dig through every message type themselves:
+ *
+ * {
+ *   id, key, chatJid, chatType, fromMe,
+ *   sender: { jid, phone, lid, pushName },
+ *   kind, text, media, quotedMessageId, quotedParticipant, mentions,
+ *   timestamp, timestampMs
+ * }
+ */
+
+export const PAYLOAD_FORMATS = ["raw", "normalized", "both"];
+
+export const MESSAGE_KINDS = [
+  "text",
+  "image",
+  "video",
+  "audio",
+  "document",
+  "sticker",
+  "location",
+  "contact",
+  "reaction",
+  "poll",
+  "button_reply",
+  "list_reply",
+  "protocol",
+  "unknown",
+];
+
+// Containers whose `.message` holds the real content
+const WRAPPERS = [
+  "ephemeralMessage",
+  "viewOnceMessage",
+  "viewOnceMessageV2",
+  "viewOnceMessageV2Extension",
+  "documentWithCaptionMessage",
+  "editedMessage",
+];
+
+const MEDIA_TYPES = {
+  imageMessage: "image",
+  videoMessage: "video",
+  audioMessage: "audio",
+  documentMessage: "document",
+  stickerMessage: "sticker",
+};
+
+function unwrapMessage(message) {
+  let current = message;
+
+  for (let depth = 0; current && depth < 5; depth++) {
+    const wrapper = WRAPPERS.find((name) => current[name]?.message);
+    if (!wrapper) break;
+    current = current[wrapper].message;
+  }
+
+  return current || {};
+}
+
+/**
+ * Timestamps and sizes may arrive as numbers, strings or serialized Longs
+ */
+function toNumber(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === "number") return value;
+  if (typeof value === "string") return parseInt(value, 10) || null;
+  if (typeof value === "object" && typeof value.low === "number") {
+    return (value.low >>> 0) + (value.high || 0) * 2 ** 32;
+  }
+  return null;
+}
+
+function jidUser(jid) {
+  if (!jid) return null;
+  return jid.split("@")[0].split(":")[0] || null;
+}
+
+function describeSender(key, pushName, selfJid) {
+  let jid;
+  let altJid;
+
+  if (key.fromMe) {
+    jid = selfJid || null;
+  } else if (key.participant) {
+    jid = key.participant;
+    altJid = key.participantAlt || key.participantPn || key.participantLid;
+  } else {
+    jid = key.remoteJid;
+    altJid = key.remoteJidAlt || key.senderPn || key.senderLid;
+  }
+
+  const candidates = [jid, altJid].filter(Boolean);
+  const phoneJid = candidates.find((j) => j.endsWith("@s.whatsapp.net"));
+  const lidJid = candidates.find((j) => j.endsWith("@lid"));
+
+  return {
+    jid: jid || null,
+    phone: jidUser(phoneJid),
+    lid: jidUser(lidJid),
+    pushName: key.fromMe ? null : pushName || null,
+  };
+}
+
+function describeMedia(type, content) {
+  return {
+    type,
+    mimetype: content.mimetype || null,
+    fileName: content.fileName || null,
+    fileLength: toNumber(content.fileLength),
+    seconds: content.seconds ?? null,
+    ptt: type === "audio" ? !!content.ptt : null,
+    width: content.width ?? null,
+    height: content.height ?? null,
+    caption: content.caption || null,
+    url: content.url || null,
+    directPath: content.directPath || null,
+  };
+}
+
+/**
+ * Kind, text and media of the message content
+ */
+function describeContent(content) {
+  if (content.conversation) {
+    return { kind: "text", text: content.conversation, media: null, node: null };
+  }
+
+  if (content.extendedTextMessage) {
+    return {
+      kind: "text",
+      text: content.extendedTextMessage.text || "",
+      media: null,
+      node: content.extendedTextMessage,
+    };
+  }
+
+  for (const [field, type] of Object.entries(MEDIA_TYPES)) {
+    if (content[field]) {
+      return {
+        kind: type,
+        text: content[field].caption || null,
+        media: describeMedia(type, content[field]),
+        node: content[field],
+      };
+    }
+  }
+
+  if (content.locationMessage || content.liveLocationMessage) {
+    const node = content.locationMessage || content.liveLocationMessage;
+    return { kind: "location", text: node.name || node.caption || null, media: null, node };
+  }
+
+  if (content.contactMessage || content.contactsArrayMessage) {
+    const node = content.contactMessage || content.contactsArrayMessage;
+    return { kind: "contact", text: node.displayName || null, media: null, node };
+  }
+
+  if (content.reactionMessage) {
+    return { kind: "reaction", text: content.reactionMessage.text || null, media: null, node: null };
+  }
+
+  const poll =
+    content.pollCreationMessage ||
+    content.pollCreationMessageV2 ||
+    content.pollCreationMessageV3;
+  if (poll) {
+    return { kind: "poll", text: poll.name || null, media: null, node: poll };
+  }
+
+  if (content.buttonsResponseMessage) {
+    return {
+      kind: "button_reply",
+      text: content.buttonsResponseMessage.selectedDisplayText || null,
+      media: null,
+      node: content.buttonsResponseMessage,
+    };
+  }
+
+  if (content.listResponseMessage) {
+    return {
+      kind: "list_reply",
+      text: content.listResponseMessage.title || null,
+      media: null,
+      node: content.listResponseMessage,
+    };
+  }
+
+  if (content.protocolMessage) {
+    return { kind: "protocol", text: null, media: null, node: null };
+  }
+
+  return { kind: "unknown", text: null, media: null, node: null };
+}
+
+/**
+ * Build the normalized form of a serialized Baileys message
+ * @param {Object} message - WAMessage as produced by serializeBaileysData
+ * @param {Object} options - { selfJid } own JID, used as sender of fromMe messages
+ */
+export function normalizeMessage(message, { selfJid } = {}) {
+  const key = message?.key || {};
+  const content = unwrapMessage(message?.message);
+  const { kind, text, media, node } = describeContent(content);
+  const contextInfo = node?.contextInfo || null;
+  const timestamp = toNumber(message?.messageTimestamp);
+
+  return {
+    id: key.id || null,
+    key: {
+      remoteJid: key.remoteJid || null,
+      id: key.id || null,
+      fromMe: !!key.fromMe,
+      participant: key.participant || null,
+    },
+    chatJid: key.remoteJid || null,
+    chatType: getJidType(key.remoteJid),
+    fromMe: !!key.fromMe,
+    sender: describeSender(key, message?.pushName, selfJid),
+    kind,
+    text,
+    media,
+    quotedMessageId: contextInfo?.stanzaId || null,
+    quotedParticipant: contextInfo?.participant || null,
+    mentions: contextInfo?.mentionedJid || [],
+    timestamp,
+    timestampMs: timestamp !== null ? timestamp * 1000 : null,
+  };
+}
+
+/**
+ * Shape a messages.upsert payload according to the payload format
+ * - raw:        { type, messages }
+ * - normalized: { type, format: "normalized", messages: [normalized] }
+ * - both:       { type, messages, normalized: [normalized] }
+ */
+export function formatMessagesPayload(payload, format, options = {}) {
+  if (format === "raw" || !PAYLOAD_FORMATS.includes(format)) return payload;
+  if (!Array.isArray(payload?.messages)) return payload;
+
+  const normalized = payload.messages.map((m) => normalizeMessage(m, options));
+
+  if (format === "normalized") {
+    return { type: payload.type, format: "normalized", messages: normalized };
+  }
+
+  return { ...payload, normalized };
+}
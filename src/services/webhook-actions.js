@@ -0,0 +1,221 @@
+import { redisPool } from "./redis-pool.js";
+import { truncateBody } from "./webhook-delivery-log.js";
+import { WEBHOOK_DELIVERY_LOG_TTL } from "../config.js";
+
+/**
+ * Reply actions
+ *
+ * Destinations with `replyActions: true` may answer a messages.upsert
+ * webhook with
+ *   { "actions": [{ "type": "send", "to": "<jid or phone>", "text": "..." }, { "type": "read" }] }
+ * - send: text message, `to` defaults to the chat of the first message
+ * - read: marks the incoming messages of the webhook as read
+ *
+ * Actions run in order through the session socket after a successful
+ * delivery, never for replayed webhooks or batches. An invalid list is
+ * rejected as a whole. Every response carrying actions is audited in
+ * `webhook:actions:<sessionId>` (latest ACTION_LOG_MAX entries).
+ *
+ * Actions run at most once per webhook: `webhook:actions:done:<webhookId>`
+ * is set with SET NX before executing, so a webhook delivered again (crash
+ * before ack, reaper requeue) does not reply twice. Actions need the session
+ * socket of the delivering instance; when the session is not running there
+ * they are skipped and audited as rejected.
+ */
+
+const ACTION_LOG_PREFIX = "webhook:actions:";
+const ACTION_DONE_PREFIX = "webhook:actions:done:";
+const ACTION_LOG_MAX = 500;
+
+// Injected by the session manager (which imports this module)
+let lookupSession = () => undefined;
+
+/**
+ * @param {Function} lookup - sessionId -> running session (with its `sock`)
+ */
+export function setSessionLookup(lookup) {
+  lookupSession = lookup;
+}
+
+const ACTION_TYPES = ["send", "read"];
+const MAX_ACTIONS = 10;
+const MAX_TEXT_LENGTH = 4096;
+
+/**
+ * Actions listed in a receiver response
+ * @returns {Array|null} - Raw actions, or null when the response has none
+ */
+export function parseReplyActions(responseBody) {
+  if (typeof responseBody !== "string" || !responseBody.trimStart().startsWith("{")) {
+    return null;
+  }
+
+  try {
+    const parsed = JSON.parse(responseBody);
+    return parsed?.actions === undefined ? null : parsed.actions;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @returns {string[]} - Validation errors
+ */
+export function validateReplyActions(actions) {
+  if (!Array.isArray(actions)) return ["'actions' must be an array"];
+  if (actions.length > MAX_ACTIONS) return [`At most ${MAX_ACTIONS} actions are allowed`];
+
+  const errors = [];
+
+  actions.forEach((action, index) => {
+    if (!action || typeof action !== "object") {
+      errors.push(`actions[${index}] must be an object`);
+      return;
+    }
+
+    if (!ACTION_TYPES.includes(action.type)) {
+      errors.push(`actions[${index}].type must be one of: ${ACTION_TYPES.join(", ")}`);
+      return;
+    }
+
+    if (action.type === "send") {
+      if (typeof action.text !== "string" || action.text.trim() === "") {
+        errors.push(`actions[${index}].text must be a non-empty string`);
+      } else if (action.text.length > MAX_TEXT_LENGTH) {
+        errors.push(`actions[${index}].text must be at most ${MAX_TEXT_LENGTH} characters`);
+      }
+      if (action.to !== undefined && (typeof action.to !== "string" || action.to === "")) {
+        errors.push(`actions[${index}].to must be a non-empty string`);
+      }
+    }
+  });
+
+  return errors;
+}
+
+async function runAction(sock, action, messages) {
+  if (action.type === "send") {
+    const to = action.to || messages[0]?.key?.remoteJid;
+    if (!to) throw new Error("No recipient: 'to' is missing and the webhook has no chat");
+
+    const sent = await sock.__send({ type: "text", to, text: action.text });
+    return { type: "send", to, messageId: sent?.key?.id || null };
+  }
+
+  const keys = messages.map((m) => m.key).filter((key) => key && !key.fromMe);
+  if (keys.length > 0) await sock.__read(keys);
+  return { type: "read", count: keys.length };
+}
+
+/**
+ * Claim the actions of a webhook
+ * @returns {Promise<boolean>} - false when they already ran (or Redis could not tell)
+ */
+async function claimActions(webhookId) {
+  try {
+    const redis = await redisPool.getClient();
+    const claimed = await redis.set(
+      ACTION_DONE_PREFIX + webhookId,
+      "1",
+      "EX",
+      WEBHOOK_DELIVERY_LOG_TTL,
+      "NX"
+    );
+    return claimed === "OK";
+  } catch (err) {
+    console.error("[ReplyActions] Failed to claim actions:", err?.message || err);
+    return false;
+  }
+}
+
+async function recordActions(sessionId, entry) {
+  try {
+    const redis = await redisPool.getClient();
+    const key = ACTION_LOG_PREFIX + sessionId;
+
+    await redis
+      .multi()
+      .lpush(key, JSON.stringify(entry))
+      .ltrim(key, 0, ACTION_LOG_MAX - 1)
+      .expire(key, WEBHOOK_DELIVERY_LOG_TTL)
+      .exec();
+  } catch (err) {
+    console.error("[ReplyActions] Failed to record actions:", err?.message || err);
+  }
+}
+
+/**
+ * Validate and execute the actions of a receiver response. Never throws:
+ * the webhook is already delivered.
+ * @param {Object} webhook - Delivered webhook
+ * @param {*} payload - Its payload (loaded when offloaded)
+ * @param {string} responseBody - Receiver response
+ * @returns {Promise<Object|null>} - Audit entry, or null when the response had no
+ *   actions or they already ran for this webhook
+ */
+export async function executeReplyActions(webhook, payload, responseBody) {
+  const actions = parseReplyActions(responseBody);
+  if (actions === null) return null;
+
+  if (!(await claimActions(webhook.id))) {
+    console.warn(`[ReplyActions] ${webhook.sessionId}: actions of webhook ${webhook.id} already handled, skipping`);
+    return null;
+  }
+
+  const entry = {
+    webhookId: webhook.id,
+    sessionId: webhook.sessionId,
+    subscriptionId: webhook.subscriptionId || null,
+    event: webhook.event,
+    requested: truncateBody(JSON.stringify(actions)),
+    status: "executed",
+    errors: [],
+    results: [],
+    ts: Date.now(),
+  };
+
+  const errors = validateReplyActions(actions);
+  const sock = lookupSession(webhook.sessionId)?.sock;
+
+  if (errors.length > 0) {
+    entry.status = "rejected";
+    entry.errors = errors;
+  } else if (!sock) {
+    entry.status = "rejected";
+    entry.errors = ["Session is not running on this instance"];
+  } else {
+    const messages = (payload?.messages || []).filter((m) => m?.key);
+
+    for (const action of actions) {
+      try {
+        entry.results.push({ ok: true, ...(await runAction(sock, action, messages)) });
+      } catch (err) {
+        entry.results.push({ ok: false, type: action.type, error: err?.message || String(err) });
+      }
+    }
+
+    const failed = entry.results.filter((result) => !result.ok).length;
+    if (failed > 0) entry.status = failed === actions.length ? "failed" : "partial";
+  }
+
+  console.log(
+    `[ReplyActions] ${webhook.sessionId}: ${entry.status} ${Array.isArray(actions) ? actions.length : 0} action(s) from webhook ${webhook.id}`
+  );
+
+  await recordActions(webhook.sessionId, entry);
+  return entry;
+}
+
+/**
+ * Audited reply actions of a session, newest first
+ */
+export async function getActionLog(sessionId, limit = 100) {
+  const redis = await redisPool.getClient();
+  const items = await redis.lrange(ACTION_LOG_PREFIX + sessionId, 0, limit - 1);
+  return items.map((item) => JSON.parse(item));
+}
+
+export async function deleteActionLog(sessionId) {
+  const redis = await redisPool.getClient();
+  await redis.del(ACTION_LOG_PREFIX + sessionId);
+}
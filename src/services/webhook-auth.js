@@ -0,0 +1,191 @@
+import { readFileSync, realpathSync, statSync } from "fs";
+import { isAbsolute, relative, resolve } from "path";
+import { WEBHOOK_TLS_DIR } from "../config.js";
+
+/**
+ * Webhook destination authentication
+ *
+ * - Authorization header for basic / token / bearer / oauth2 destinations.
+ *   oauth2 uses the client-credentials grant: the token is fetched from
+ *   `oauthTokenUrl`, cached until shortly before `expires_in` and fetched
+ *   again after the receiver answers 401.
+ * - Client certificate (mTLS) options read from `tlsCertPath`, `tlsKeyPath`
+ *   and `tlsCaPath`, passed to Bun's fetch as `tls`. Paths set through the
+ *   API must point inside WEBHOOK_TLS_DIR (relative paths are resolved
+ *   against it); files are read again when their mtime changes.
+ *
+ * `bun run test:webhook-auth` exercises both against local test servers.
+ */
+
+// Refresh tokens this long before they expire
+const TOKEN_REFRESH_MARGIN_MS = 30000;
+// Used when the token endpoint omits expires_in
+const DEFAULT_TOKEN_TTL_MS = 300000;
+const TOKEN_REQUEST_TIMEOUT_MS = 10000;
+
+const tokens = new Map();
+const pendingTokens = new Map();
+const tlsFiles = new Map();
+
+function tokenCacheKey(destination) {
+  const { oauthTokenUrl, oauthClientId, oauthScope, oauthAudience } = destination;
+  return [oauthTokenUrl, oauthClientId, oauthScope || "", oauthAudience || ""].join("|");
+}
+
+async function requestToken(destination) {
+  const params = new URLSearchParams({ grant_type: "client_credentials" });
+  if (destination.oauthScope) params.set("scope", destination.oauthScope);
+  if (destination.oauthAudience) params.set("audience", destination.oauthAudience);
+
+  const credentials = Buffer.from(
+    `${encodeURIComponent(destination.oauthClientId)}:${encodeURIComponent(destination.oauthClientSecret)}`
+  ).toString("base64");
+
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), TOKEN_REQUEST_TIMEOUT_MS);
+
+  try {
+    const response = await fetch(destination.oauthTokenUrl, {
+      method: "POST",
+      body: params.toString(),
+      headers: {
+        "Content-Type": "application/x-www-form-urlencoded",
+        Accept: "application/json",
+        Authorization: `Basic ${credentials}`,
+      },
+      signal: controller.signal,
+      ...buildTlsOptions(destination),
+    });
+
+    const body = await response.json().catch(() => null);
+
+    if (!response.ok || !body?.access_token) {
+      throw new Error(
+        `OAuth2 token request failed: HTTP ${response.status}` +
+        (body?.error ? ` (${body.error})` : "")
+      );
+    }
+
+    const ttlMs = body.expires_in ? body.expires_in * 1000 : DEFAULT_TOKEN_TTL_MS;
+
+    return {
+      accessToken: body.access_token,
+      tokenType: body.token_type || "Bearer",
+      expiresAt: Date.now() + ttlMs,
+    };
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+/**
+ * Cached client-credentials token of a destination
+ */
+export async function getOAuthToken(destination) {
+  const key = tokenCacheKey(destination);
+  const cached = tokens.get(key);
+
+  if (cached && cached.expiresAt - TOKEN_REFRESH_MARGIN_MS > Date.now()) {
+    return cached;
+  }
+
+  // Concurrent deliveries share one token request
+  if (!pendingTokens.has(key)) {
+    pendingTokens.set(
+      key,
+      requestToken(destination)
+        .then((token) => {
+          tokens.set(key, token);
+          return token;
+        })
+        .finally(() => pendingTokens.delete(key))
+    );
+  }
+
+  return pendingTokens.get(key);
+}
+
+/**
+ * Forget the cached token (the receiver rejected it)
+ */
+export function invalidateOAuthToken(destination) {
+  tokens.delete(tokenCacheKey(destination));
+}
+
+/**
+ * Authorization header of a destination
+ */
+export async function buildAuthHeaders(destination) {
+  const { authType, authUser, authPassword, authToken } = destination;
+
+  if (authType === "basic" && authUser && authPassword) {
+    const credentials = Buffer.from(`${authUser}:${authPassword}`).toString(
+      "base64"
+    );
+    return { Authorization: `Basic ${credentials}` };
+  }
+  if (authType === "token" && authToken) {
+    return { Authorization: `Token ${authToken}` };
+  }
+  if (authType === "bearer" && authToken) {
+    return { Authorization: `Bearer ${authToken}` };
+  }
+  if (authType === "oauth2") {
+    const token = await getOAuthToken(destination);
+    // Some providers return "bearer"; receivers expect the canonical casing
+    const scheme = token.tokenType.toLowerCase() === "bearer" ? "Bearer" : token.tokenType;
+    return { Authorization: `${scheme} ${token.accessToken}` };
+  }
+
+  return {};
+}
+
+/**
+ * Resolve a TLS file path set through the API
+ * @returns {string|null} - Real path of a file inside WEBHOOK_TLS_DIR, or null
+ *   (outside, missing or WEBHOOK_TLS_DIR unset: callers cannot tell which)
+ */
+export function resolveTlsPath(path) {
+  if (!WEBHOOK_TLS_DIR || typeof path !== "string" || !path) return null;
+
+  try {
+    const dir = realpathSync(WEBHOOK_TLS_DIR);
+    const file = realpathSync(resolve(dir, path));
+    const inside = relative(dir, file);
+
+    if (!inside || inside.startsWith("..") || isAbsolute(inside)) return null;
+    return statSync(file).isFile() ? file : null;
+  } catch {
+    return null;
+  }
+}
+
+// Cached by path, re-read when the file changes (certificate renewal)
+function readTlsFile(path) {
+  const file = WEBHOOK_TLS_DIR ? resolve(WEBHOOK_TLS_DIR, path) : path;
+  const { mtimeMs } = statSync(file);
+  const cached = tlsFiles.get(file);
+
+  if (cached?.mtimeMs === mtimeMs) return cached.content;
+
+  const content = readFileSync(file, "utf8");
+  tlsFiles.set(file, { mtimeMs, content });
+  return content;
+}
+
+/**
+ * fetch options for mutual TLS, empty when the destination has no client certificate
+ */
+export function buildTlsOptions(destination) {
+  const { tlsCertPath, tlsKeyPath, tlsCaPath } = destination;
+  if (!tlsCertPath && !tlsCaPath) return {};
+
+  const tls = {};
+  if (tlsCertPath) {
+    tls.cert = readTlsFile(tlsCertPath);
+    tls.key = readTlsFile(tlsKeyPath);
+  }
+  if (tlsCaPath) tls.ca = readTlsFile(tlsCaPath);
+
+  return { tls };
+}
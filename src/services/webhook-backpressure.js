@@ -0,0 +1,282 @@
+import { redisPool } from "./redis-pool.js";
+import { PAYLOAD_PREFIX } from "./webhook-payloads.js";
+import {
+  WEBHOOK_QUEUE_MAX_LENGTH,
+  WEBHOOK_QUEUE_OVERFLOW,
+  WEBHOOK_QUEUE_SPILL_MAX_LEN,
+  WEBHOOK_EVENT_PRIORITIES,
+} from "../config.js";
+
+/**
+ * Backpressure for webhook:queue
+ *
+ * With WEBHOOK_QUEUE_MAX_LENGTH set, new webhooks are admitted atomically
+ * against the queue length. Every webhook carries a priority (low, normal,
+ * high) taken from its event; when the queue is full:
+ *
+ * - drop-oldest: the oldest queued webhooks are dropped, lowest priority
+ *   first and never above the priority of the incoming one. If nothing can
+ *   go, the incoming webhook is dropped.
+ * - reject: the incoming webhook is refused, unless queued webhooks of a
+ *   strictly lower priority can be dropped to make room.
+ * - spill: like reject, but refused and dropped webhooks are written to the
+ *   capped `webhook:overflow` stream and moved back once the queue drains
+ *   below half of its maximum. When the stream is full its oldest entries
+ *   are trimmed together with their offloaded payloads.
+ *
+ * So presence updates always go before connection or message events.
+ * Counters live in the `webhook:backpressure:stats` hash.
+ *
+ * The priority is read from the raw entry, which must start with
+ * `{"priority":"<level>","id":"<id>"` (entries without it count as normal),
+ * so eviction never decodes JSON inside Redis.
+ *
+ * Only new webhooks are admitted. Webhooks that were already admitted go
+ * straight back to the queue and may exceed the limit: promoted retries,
+ * circuit deferrals, entries recovered by the reaper and chats released by
+ * ordered delivery. So do dead-lettered webhooks retried by an operator.
+ */
+
+const SPILL_KEY = "webhook:overflow";
+const STATS_KEY = "webhook:backpressure:stats";
+
+const PRIORITY_LEVELS = ["low", "normal", "high"];
+
+// Only the oldest entries are scanned for eviction candidates
+const EVICTION_SCAN_WINDOW = 1000;
+const RESTORE_BATCH = 500;
+
+const DEFAULT_PRIORITIES = {
+  "connection.update": "high",
+  "creds.update": "high",
+  "messages.upsert": "high",
+  "messages.update": "high",
+  "messages.delete": "high",
+  "messages.reaction": "high",
+  "message-receipt.update": "high",
+  "qr.updated": "high",
+  "session.connected": "high",
+  "session.disconnected": "high",
+  "webhook.circuit": "high",
+  "presence.update": "low",
+  "messaging-history.set": "low",
+};
+
+const EVENT_PRIORITIES = { ...DEFAULT_PRIORITIES };
+for (const entry of WEBHOOK_EVENT_PRIORITIES.split(",")) {
+  const [event, level] = entry.split("=").map((part) => part.trim());
+  if (!event) continue;
+
+  if (PRIORITY_LEVELS.includes(level)) {
+    EVENT_PRIORITIES[event] = level;
+  } else {
+    console.warn(`[Backpressure] Ignoring priority '${level}' for ${event} (use ${PRIORITY_LEVELS.join(", ")})`);
+  }
+}
+
+const POLICY = ["drop-oldest", "reject", "spill"].includes(WEBHOOK_QUEUE_OVERFLOW)
+  ? WEBHOOK_QUEUE_OVERFLOW
+  : "drop-oldest";
+
+// Admits new entries, making room by evicting lower-priority queued ones.
+// Returns { accepted, evicted, refused, evictedIds }; ARGV[7..] are the new entries.
+// The spill stream is trimmed here rather than with XADD MAXLEN so the
+// offloaded payloads of trimmed entries can be deleted with them.
+const ADMIT_SCRIPT = `
+local RANKS = { low = 0, normal = 1, high = 2 }
+local NAMES = { [0] = 'low', [1] = 'normal', [2] = 'high' }
+local PREFIX = '^{"priority":"(%a+)","id":"([^"]*)"'
+local max = tonumber(ARGV[1])
+local policy = ARGV[2]
+local spillMax = tonumber(ARGV[4])
+local rank = RANKS[ARGV[5]] or 1
+local payloadPrefix = ARGV[6]
+local count = #ARGV - 6
+
+local function trimSpill()
+  local excess = redis.call('XLEN', KEYS[2]) - spillMax + 1
+  if excess <= 0 then return end
+  local entries = redis.call('XRANGE', KEYS[2], '-', '+', 'COUNT', excess)
+  for _, entry in ipairs(entries) do
+    local _, id = string.match(entry[2][2], PREFIX)
+    if id then redis.call('DEL', payloadPrefix .. id) end
+    redis.call('XDEL', KEYS[2], entry[1])
+  end
+  redis.call('HINCRBY', KEYS[3], 'trimmed', #entries)
+end
+
+local function overflow(raw, priority, counter)
+  if policy == 'spill' then
+    trimSpill()
+    redis.call('XADD', KEYS[2], '*', 'webhook', raw)
+    redis.call('HINCRBY', KEYS[3], 'spilled:' .. priority, 1)
+  else
+    redis.call('HINCRBY', KEYS[3], counter .. ':' .. priority, 1)
+  end
+end
+
+local need = count - (max - redis.call('LLEN', KEYS[1]))
+local evicted = 0
+local evictedIds = {}
+
+if need > 0 then
+  local limit = rank - 1
+  if policy == 'drop-oldest' then limit = rank end
+
+  local window = redis.call('LRANGE', KEYS[1], -tonumber(ARGV[3]), -1)
+  for r = 0, limit do
+    for i = #window, 1, -1 do
+      if need <= 0 then break end
+      local raw = window[i]
+      if raw then
+        local priority, id = string.match(raw, PREFIX)
+        local queued = RANKS[priority] or 1
+        if queued == r and redis.call('LREM', KEYS[1], -1, raw) == 1 then
+          window[i] = false
+          overflow(raw, NAMES[r], 'evicted')
+          evicted = evicted + 1
+          need = need - 1
+          if id then evictedIds[#evictedIds + 1] = id end
+        end
+      end
+    end
+  end
+end
+
+local free = max - redis.call('LLEN', KEYS[1])
+local accepted = math.max(0, math.min(count, free))
+for i = 1, count do
+  if i <= accepted then
+    redis.call('LPUSH', KEYS[1], ARGV[6 + i])
+  else
+    overflow(ARGV[6 + i], NAMES[rank], 'rejected')
+  end
+end
+
+return { accepted, evicted, count - accepted, evictedIds }
+`;
+
+// Moves spilled entries back while the queue is below the low watermark
+const RESTORE_SCRIPT = `
+local room = tonumber(ARGV[1]) - redis.call('LLEN', KEYS[1])
+if room <= 0 then return 0 end
+local entries = redis.call('XRANGE', KEYS[2], '-', '+', 'COUNT', math.min(room, tonumber(ARGV[2])))
+for _, entry in ipairs(entries) do
+  redis.call('LPUSH', KEYS[1], entry[2][2])
+  redis.call('XDEL', KEYS[2], entry[1])
+end
+if #entries > 0 then
+  redis.call('HINCRBY', KEYS[3], 'restored', #entries)
+end
+return #entries
+`;
+
+export function isBackpressureEnabled() {
+  return WEBHOOK_QUEUE_MAX_LENGTH > 0;
+}
+
+/**
+ * Priority level of an event (unlisted events are "normal")
+ */
+export function getEventPriority(event) {
+  return EVENT_PRIORITIES[event] || "normal";
+}
+
+/**
+ * Push serialized webhooks of one event onto the queue, applying the overflow policy
+ * @returns {Promise<Object>} - { accepted, evicted, refused, spilled, droppedIds }
+ *   accepted entries are the first N; spilled counts refused entries kept in
+ *   the overflow stream; droppedIds are the queued webhooks evicted for good
+ */
+export async function admitWebhooks(queueKey, event, entries) {
+  const redis = await redisPool.getClient();
+
+  if (!isBackpressureEnabled()) {
+    await redis.lpush(queueKey, ...entries);
+    return { accepted: entries.length, evicted: 0, refused: 0, spilled: 0, droppedIds: [] };
+  }
+
+  const [accepted, evicted, refused, evictedIds] = await redis.eval(
+    ADMIT_SCRIPT,
+    3,
+    queueKey,
+    SPILL_KEY,
+    STATS_KEY,
+    WEBHOOK_QUEUE_MAX_LENGTH,
+    POLICY,
+    EVICTION_SCAN_WINDOW,
+    WEBHOOK_QUEUE_SPILL_MAX_LEN,
+    getEventPriority(event),
+    PAYLOAD_PREFIX,
+    ...entries
+  );
+
+  if (evicted > 0 || refused > 0) {
+    console.warn(
+      `[Backpressure] Queue full (${POLICY}): ${event} accepted ${accepted}/${entries.length}, ` +
+      `${evicted} queued webhook(s) ${POLICY === "spill" ? "spilled" : "dropped"}`
+    );
+  }
+
+  const spill = POLICY === "spill";
+  return {
+    accepted,
+    evicted,
+    refused,
+    spilled: spill ? refused : 0,
+    droppedIds: spill ? [] : evictedIds,
+  };
+}
+
+/**
+ * Move spilled webhooks back to the queue once it has drained
+ * @returns {Promise<number>} - Restored entries
+ */
+export async function restoreSpilled(queueKey) {
+  if (!isBackpressureEnabled() || POLICY !== "spill") return 0;
+
+  const redis = await redisPool.getClient();
+  const restored = await redis.eval(
+    RESTORE_SCRIPT,
+    3,
+    queueKey,
+    SPILL_KEY,
+    STATS_KEY,
+    Math.floor(WEBHOOK_QUEUE_MAX_LENGTH / 2),
+    RESTORE_BATCH
+  );
+
+  if (restored > 0) {
+    console.log(`[Backpressure] Restored ${restored} spilled webhooks`);
+  }
+
+  return restored;
+}
+
+/**
+ * Limits and overflow counters for getStats
+ */
+export async function getBackpressureStats() {
+  const redis = await redisPool.getClient();
+  const [raw, spilled] = await Promise.all([
+    redis.hgetall(STATS_KEY),
+    redis.xlen(SPILL_KEY),
+  ]);
+
+  const counters = { evicted: {}, rejected: {}, spilled: {}, restored: 0, trimmed: 0 };
+  for (const name of ["evicted", "rejected", "spilled"]) {
+    for (const level of PRIORITY_LEVELS) {
+      counters[name][level] = parseInt(raw?.[`${name}:${level}`] || "0", 10);
+    }
+  }
+  counters.restored = parseInt(raw?.restored || "0", 10);
+  counters.trimmed = parseInt(raw?.trimmed || "0", 10);
+
+  return {
+    enabled: isBackpressureEnabled(),
+    maxLength: WEBHOOK_QUEUE_MAX_LENGTH || null,
+    policy: POLICY,
+    spillQueued: spilled,
+    counters,
+  };
+}
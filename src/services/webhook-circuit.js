@@ -0,0 +1,190 @@
+import {
+  WEBHOOK_CIRCUIT_FAILURE_THRESHOLD,
+  WEBHOOK_CIRCUIT_RESET_TIMEOUT,
+} from "../config.js";
+
+/**
+ * Circuit breaker per webhook destination URL
+ *
+ * closed    -> requests flow; consecutive failures are counted
+ * open      -> requests are refused until resetTimeout elapses
+ * half-open -> a single trial request decides between closed and open
+ */
+
+export const CIRCUIT_STATES = {
+  CLOSED: "closed",
+  OPEN: "open",
+  HALF_OPEN: "half-open",
+};
+
+class CircuitBreaker {
+  constructor(options = {}) {
+    this.failureThreshold = options.failureThreshold || 5;
+    this.resetTimeout = options.resetTimeout || 30000;
+    this.circuits = new Map();
+    this.listeners = new Set();
+  }
+
+  getCircuit(url) {
+    let circuit = this.circuits.get(url);
+
+    if (!circuit) {
+      circuit = {
+        state: CIRCUIT_STATES.CLOSED,
+        failures: 0,
+        openedAt: null,
+        lastFailureAt: null,
+        lastError: null,
+        trialInFlight: false,
+      };
+      this.circuits.set(url, circuit);
+    }
+
+    return circuit;
+  }
+
+  transition(url, circuit, state, reason) {
+    const previous = circuit.state;
+    if (previous === state) return;
+
+    circuit.state = state;
+    if (state === CIRCUIT_STATES.OPEN) circuit.openedAt = Date.now();
+    if (state === CIRCUIT_STATES.CLOSED) {
+      circuit.failures = 0;
+      circuit.openedAt = null;
+    }
+
+    console.warn(`[CircuitBreaker] ${url}: ${previous} -> ${state} (${reason})`);
+
+    for (const listener of this.listeners) {
+      try {
+        listener({ url, previous, state, reason, ...this.describe(circuit) });
+      } catch (err) {
+        console.error("[CircuitBreaker] Listener error:", err?.message || err);
+      }
+    }
+  }
+
+  /**
+   * Whether a request to this URL may be attempted now.
+   * Reserves the trial slot when the circuit is half-open.
+   */
+  canRequest(url) {
+    const circuit = this.getCircuit(url);
+
+    if (circuit.state === CIRCUIT_STATES.OPEN) {
+      if (Date.now() - circuit.openedAt < this.resetTimeout) return false;
+      this.transition(url, circuit, CIRCUIT_STATES.HALF_OPEN, "reset timeout elapsed");
+    }
+
+    if (circuit.state === CIRCUIT_STATES.HALF_OPEN) {
+      if (circuit.trialInFlight) return false;
+      circuit.trialInFlight = true;
+    }
+
+    return true;
+  }
+
+  /**
+   * Whether the URL is waiting on a trial request
+   */
+  isHalfOpen(url) {
+    return this.getCircuit(url).state === CIRCUIT_STATES.HALF_OPEN;
+  }
+
+  /**
+   * When a request refused by canRequest() is worth trying again: the end
+   * of the reset timeout, or shortly after for a trial already in flight
+   */
+  getRetryAt(url) {
+    const circuit = this.getCircuit(url);
+    if (circuit.state === CIRCUIT_STATES.OPEN) {
+      return circuit.openedAt + this.resetTimeout;
+    }
+    return Date.now() + 1000;
+  }
+
+  /**
+   * Give back a trial slot reserved by canRequest() when the request is not
+   * sent after all, so another webhook can probe the destination
+   */
+  release(url) {
+    this.getCircuit(url).trialInFlight = false;
+  }
+
+  onSuccess(url) {
+    const circuit = this.getCircuit(url);
+    circuit.trialInFlight = false;
+    circuit.failures = 0;
+
+    if (circuit.state !== CIRCUIT_STATES.CLOSED) {
+      this.transition(url, circuit, CIRCUIT_STATES.CLOSED, "trial request succeeded");
+    }
+  }
+
+  onFailure(url, error) {
+    const circuit = this.getCircuit(url);
+    circuit.trialInFlight = false;
+    circuit.failures++;
+    circuit.lastFailureAt = Date.now();
+    circuit.lastError = String(error?.message || error);
+
+    if (circuit.state === CIRCUIT_STATES.HALF_OPEN) {
+      this.transition(url, circuit, CIRCUIT_STATES.OPEN, "trial request failed");
+    } else if (
+      circuit.state === CIRCUIT_STATES.CLOSED &&
+      circuit.failures >= this.failureThreshold
+    ) {
+      this.transition(
+        url,
+        circuit,
+        CIRCUIT_STATES.OPEN,
+        `${circuit.failures} consecutive failures`
+      );
+    }
+  }
+
+  onStateChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  describe(circuit) {
+    return {
+      failures: circuit.failures,
+      openedAt: circuit.openedAt,
+      retryAt:
+        circuit.state === CIRCUIT_STATES.OPEN
+          ? circuit.openedAt + this.resetTimeout
+          : null,
+      lastFailureAt: circuit.lastFailureAt,
+      lastError: circuit.lastError,
+    };
+  }
+
+  getStates() {
+    return Array.from(this.circuits.entries()).map(([url, circuit]) => ({
+      url,
+      state: circuit.state,
+      ...this.describe(circuit),
+    }));
+  }
+}
+
+/**
+ * Whether a delivery error says something about the destination's health.
+ * Network errors, timeouts (`transport` errors from post()), 5xx, 408 and 429
+ * trip the breaker; other 4xx mean the receiver is up but rejected this
+ * payload. Local errors (missing URL, expired payload, TLS files, OAuth token
+ * fetch) never reached the destination.
+ */
+export function isCircuitFailure(error) {
+  const status = error?.status;
+  if (status) return status >= 500 || status === 408 || status === 429;
+  return error?.transport === true;
+}
+
+export const circuitBreaker = new CircuitBreaker({
+  failureThreshold: WEBHOOK_CIRCUIT_FAILURE_THRESHOLD,
+  resetTimeout: WEBHOOK_CIRCUIT_RESET_TIMEOUT,
+});
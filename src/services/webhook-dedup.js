@@ -0,0 +1,162 @@
+import { createHash } from "crypto";
+import { redisPool } from "./redis-pool.js";
+import { WEBHOOK_DEDUP_TTL } from "../config.js";
+
+/**
+ * Idempotency layer for message events
+ *
+ * Baileys may re-emit messages.upsert (and updates) for messages already
+ * delivered, typically after a restart or reconnect. Every item is recorded
+ * with `SET NX EX` under
+ *   `webhook:dedup:<sessionId>:<event>:<messageId>[:<fingerprint>]`
+ * and skipped when the key already exists. Updates, receipts and reactions
+ * include a fingerprint of their content so real changes still go through.
+ *
+ * Duplicate counts per event are kept in `webhook:dedup-stats:<sessionId>`.
+ */
+
+const DEDUP_PREFIX = "webhook:dedup:";
+const STATS_PREFIX = "webhook:dedup-stats:";
+
+// Event -> how to list its items and rebuild the payload from the kept ones
+const DEDUP_EVENTS = {
+  "messages.upsert": {
+    items: (payload) => payload?.messages,
+    rebuild: (payload, messages) => {
+      // Keep the normalized copies (payload format "both") in sync
+      if (!Array.isArray(payload.normalized)) return { ...payload, messages };
+      const ids = new Set(messages.map((m) => m?.key?.id));
+      return {
+        ...payload,
+        messages,
+        normalized: payload.normalized.filter((n) => ids.has(n?.key?.id)),
+      };
+    },
+    fingerprint: () => "",
+  },
+  "messages.update": {
+    items: (payload) => payload,
+    rebuild: (_payload, items) => items,
+    fingerprint: (item) => item.update,
+  },
+  "message-receipt.update": {
+    items: (payload) => payload,
+    rebuild: (_payload, items) => items,
+    fingerprint: (item) => item.receipt,
+  },
+  "messages.reaction": {
+    items: (payload) => payload,
+    rebuild: (_payload, items) => items,
+    fingerprint: (item) => item.reaction,
+  },
+};
+
+function hashContent(content) {
+  if (content === "" || content === undefined) return "";
+  return createHash("sha1").update(JSON.stringify(content)).digest("hex").slice(0, 16);
+}
+
+function dedupKey(sessionId, event, item, fingerprint) {
+  const key = item?.key || {};
+  const hash = hashContent(fingerprint(item));
+  return `${DEDUP_PREFIX}${sessionId}:${event}:${key.remoteJid}:${key.id}${hash ? `:${hash}` : ""}`;
+}
+
+/**
+ * Remove items that were already sent
+ * @returns {Promise<Object>} - { payload, duplicates, marks } payload is null when every
+ *   item was a duplicate; marks are the keys set by this call (see unmarkDuplicates)
+ */
+export async function dropDuplicates(sessionId, event, payload) {
+  const spec = DEDUP_EVENTS[event];
+  const items = spec?.items(payload);
+
+  if (!sessionId || !spec || !Array.isArray(items) || WEBHOOK_DEDUP_TTL <= 0) {
+    return { payload, duplicates: 0, marks: [] };
+  }
+
+  try {
+    const redis = await redisPool.getClient();
+    const pipeline = redis.pipeline();
+    const keys = [];
+
+    for (const item of items) {
+      if (item?.key?.id) {
+        const key = dedupKey(sessionId, event, item, spec.fingerprint);
+        keys.push(key);
+        pipeline.set(key, "1", "EX", WEBHOOK_DEDUP_TTL, "NX");
+      }
+    }
+
+    const results = await pipeline.exec();
+    const kept = [];
+    const marks = [];
+    let r = 0;
+
+    for (const item of items) {
+      if (!item?.key?.id) {
+        kept.push(item);
+        continue;
+      }
+
+      const key = keys[r];
+      const [err, reply] = results[r++];
+      // Keep the item when Redis could not tell (fail open)
+      if (err || reply === "OK") kept.push(item);
+      if (reply === "OK") marks.push(key);
+    }
+
+    const duplicates = items.length - kept.length;
+    if (duplicates > 0) {
+      await redis.hincrby(STATS_PREFIX + sessionId, event, duplicates);
+      console.log(`[WebhookDedup] ${sessionId}: skipped ${duplicates} duplicate ${event} item(s)`);
+    }
+
+    return {
+      payload: kept.length > 0 ? spec.rebuild(payload, kept) : null,
+      duplicates,
+      marks,
+    };
+  } catch (err) {
+    console.error("[WebhookDedup] Check failed, sending as-is:", err?.message || err);
+    return { payload, duplicates: 0, marks: [] };
+  }
+}
+
+/**
+ * Forget items marked by dropDuplicates() that were not queued after all
+ * (queue full or enqueue error), so a re-emission can still go through
+ */
+export async function unmarkDuplicates(marks) {
+  if (!marks?.length) return;
+
+  try {
+    const redis = await redisPool.getClient();
+    await redis.del(...marks);
+  } catch (err) {
+    console.error("[WebhookDedup] Failed to unmark items:", err?.message || err);
+  }
+}
+
+/**
+ * Duplicate counts of a session
+ * @returns {Promise<Object>} - { total, byEvent }
+ */
+export async function getDuplicateStats(sessionId) {
+  const redis = await redisPool.getClient();
+  const raw = await redis.hgetall(STATS_PREFIX + sessionId);
+
+  const byEvent = {};
+  let total = 0;
+  for (const [event, count] of Object.entries(raw || {})) {
+    byEvent[event] = parseInt(count, 10);
+    total += byEvent[event];
+  }
+
+  return { total, byEvent };
+}
+
+export async function resetDuplicateStats(sessionId) {
+  const redis = await redisPool.getClient();
+  await redis.del(STATS_PREFIX + sessionId);
+}
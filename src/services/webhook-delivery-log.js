@@ -0,0 +1,83 @@
+import { redisPool } from "./redis-pool.js";
+import {
+  WEBHOOK_DELIVERY_LOG_TTL,
+  WEBHOOK_DELIVERY_LOG_MAX,
+  WEBHOOK_DELIVERY_LOG_BODY_LIMIT,
+} from "../config.js";
+
+/**
+ * Webhook delivery log
+ *
+ * Every delivery attempt is stored twice:
+ * - `webhook:deliveries:<webhookId>`: attempts of one webhook, expires after WEBHOOK_DELIVERY_LOG_TTL
+ * - `webhook:deliveries`: capped list of the latest WEBHOOK_DELIVERY_LOG_MAX attempts, used for searches
+ */
+
+const RECENT_KEY = "webhook:deliveries";
+const WEBHOOK_KEY_PREFIX = "webhook:deliveries:";
+
+export function truncateBody(body, limit = WEBHOOK_DELIVERY_LOG_BODY_LIMIT) {
+  if (typeof body !== "string") return body ?? null;
+  if (body.length <= limit) return body;
+  return `${body.slice(0, limit)}... [truncated ${body.length - limit} chars]`;
+}
+
+/**
+ * Store a delivery attempt. Never throws: logging must not affect delivery.
+ * @param {Object} record - { webhookId, sessionId, event, subscriptionId, url, attempt, ok, status, latencyMs, responseBody, error }
+ */
+export async function recordDelivery(record) {
+  try {
+    const entry = JSON.stringify({
+      ...record,
+      responseBody: truncateBody(record.responseBody),
+      ts: record.ts || Date.now(),
+    });
+
+    const redis = await redisPool.getClient();
+    const key = WEBHOOK_KEY_PREFIX + record.webhookId;
+
+    await redis
+      .multi()
+      .rpush(key, entry)
+      .expire(key, WEBHOOK_DELIVERY_LOG_TTL)
+      .lpush(RECENT_KEY, entry)
+      .ltrim(RECENT_KEY, 0, WEBHOOK_DELIVERY_LOG_MAX - 1)
+      .exec();
+  } catch (err) {
+    console.error("[DeliveryLog] Failed to record delivery:", err?.message || err);
+  }
+}
+
+/**
+ * All recorded attempts of a webhook, oldest first
+ */
+export async function getDeliveries(webhookId) {
+  const redis = await redisPool.getClient();
+  const items = await redis.lrange(WEBHOOK_KEY_PREFIX + webhookId, 0, -1);
+  return items.map((item) => JSON.parse(item));
+}
+
+/**
+ * Latest attempts, newest first, optionally filtered
+ * @param {Object} filter - { sessionId, event, ok }
+ * @param {number} limit - Max records returned
+ */
+export async function queryDeliveries(filter = {}, limit = 100) {
+  const redis = await redisPool.getClient();
+  const items = await redis.lrange(RECENT_KEY, 0, -1);
+  const results = [];
+
+  for (const item of items) {
+    const record = JSON.parse(item);
+
+    if (filter.sessionId && record.sessionId !== filter.sessionId) continue;
+    if (filter.event && record.event !== filter.event) continue;
+    if (filter.ok !== undefined && record.ok !== filter.ok) continue;
+
+    results.push(record);
+    if (results.length >= limit) break;
+  }
+
+  return results;
+}
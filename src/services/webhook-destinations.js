@@ -0,0 +1,323 @@
+import { redisPool } from "./redis-pool.js";
+import { resolveTlsPath } from "./webhook-auth.js";
+import {
+  WEBHOOK_URL,
+  WEBHOOK_AUTH_TYPE,
+  WEBHOOK_AUTH_USER,
+  WEBHOOK_AUTH_PASSWORD,
+  WEBHOOK_AUTH_TOKEN,
+  WEBHOOK_OAUTH_TOKEN_URL,
+  WEBHOOK_OAUTH_CLIENT_ID,
+  WEBHOOK_OAUTH_CLIENT_SECRET,
+  WEBHOOK_OAUTH_SCOPE,
+  WEBHOOK_OAUTH_AUDIENCE,
+  WEBHOOK_TLS_CERT,
+  WEBHOOK_TLS_KEY,
+  WEBHOOK_TLS_CA,
+  WEBHOOK_SIGNING_SECRET,
+  WEBHOOK_SIGNING_SECRET_PREVIOUS,
+  WEBHOOK_BATCH_MAX_EVENTS,
+  WEBHOOK_BATCH_MAX_WAIT_MS,
+  WEBHOOK_REPLY_ACTIONS,
+} from "../config.js";
+
+/**
+ * Webhook destinations
+ *
+ * A destination is where a webhook is POSTed and how it authenticates.
+ * Every session uses the global WEBHOOK_* configuration unless it has its
+ * own override stored in Redis under `webhook:session:<sessionId>`.
+ * Overrides are cached per instance; changes are announced on the
+ * `webhook:session:changed` channel so no instance keeps a stale one.
+ */
+
+const SESSION_CONFIG_PREFIX = "webhook:session:";
+const SESSION_CONFIG_CHANNEL = "webhook:session:changed";
+const CACHE_TTL_MS = 30000;
+
+export const AUTH_TYPES = ["none", "basic", "token", "bearer", "oauth2"];
+
+const OAUTH_FIELDS = [
+  "oauthTokenUrl",
+  "oauthClientId",
+  "oauthClientSecret",
+  "oauthScope",
+  "oauthAudience",
+];
+const TLS_FIELDS = ["tlsCertPath", "tlsKeyPath", "tlsCaPath"];
+
+/**
+ * OAuth2 and mTLS fields of a config, with defaults
+ */
+function pickClientAuthFields(config) {
+  const fields = {};
+  for (const field of [...OAUTH_FIELDS, ...TLS_FIELDS]) {
+    fields[field] = config[field] || "";
+  }
+  return fields;
+}
+
+const cache = new Map();
+
+/**
+ * Global destination built from environment variables
+ */
+export function getDefaultDestination() {
+  return {
+    id: "default",
+    url: WEBHOOK_URL,
+    authType: WEBHOOK_AUTH_TYPE,
+    authUser: WEBHOOK_AUTH_USER,
+    authPassword: WEBHOOK_AUTH_PASSWORD,
+    authToken: WEBHOOK_AUTH_TOKEN,
+    oauthTokenUrl: WEBHOOK_OAUTH_TOKEN_URL,
+    oauthClientId: WEBHOOK_OAUTH_CLIENT_ID,
+    oauthClientSecret: WEBHOOK_OAUTH_CLIENT_SECRET,
+    oauthScope: WEBHOOK_OAUTH_SCOPE,
+    oauthAudience: WEBHOOK_OAUTH_AUDIENCE,
+    // The certificate is only used together with its key
+    tlsCertPath: WEBHOOK_TLS_KEY ? WEBHOOK_TLS_CERT : "",
+    tlsKeyPath: WEBHOOK_TLS_CERT ? WEBHOOK_TLS_KEY : "",
+    tlsCaPath: WEBHOOK_TLS_CA,
+    signingSecret: WEBHOOK_SIGNING_SECRET,
+    signingSecretPrevious: WEBHOOK_SIGNING_SECRET
+      ? WEBHOOK_SIGNING_SECRET_PREVIOUS
+      : "",
+    batchMaxEvents: WEBHOOK_BATCH_MAX_EVENTS,
+    batchMaxWaitMs: WEBHOOK_BATCH_MAX_WAIT_MS,
+    replyActions: WEBHOOK_REPLY_ACTIONS,
+  };
+}
+
+/**
+ * Validate a destination config sent by the API
+ * @param {Object} config - { url, authType, authUser, authPassword, authToken,
+ *   oauthTokenUrl, oauthClientId, oauthClientSecret, oauthScope, oauthAudience,
+ *   tlsCertPath, tlsKeyPath, tlsCaPath, signingSecret, signingSecretPrevious,
+ *   batchMaxEvents, batchMaxWaitMs, replyActions }
+ * @returns {Object} - { valid, errors }
+ */
+export function validateDestinationConfig(config) {
+  const errors = [];
+
+  if (!config || typeof config !== "object") {
+    return { valid: false, errors: ["Config must be an object"] };
+  }
+
+  if (!config.url || typeof config.url !== "string") {
+    errors.push("'url' is required");
+  } else {
+    try {
+      const parsed = new URL(config.url);
+      if (!["http:", "https:"].includes(parsed.protocol)) {
+        errors.push("'url' must use http or https");
+      }
+    } catch {
+      errors.push("'url' is not a valid URL");
+    }
+  }
+
+  const authType = config.authType || "none";
+
+  if (!AUTH_TYPES.includes(authType)) {
+    errors.push(`'authType' must be one of: ${AUTH_TYPES.join(", ")}`);
+  } else if (
+    authType === "basic" &&
+    (!config.authUser || !config.authPassword)
+  ) {
+    errors.push("'authUser' and 'authPassword' are required for basic auth");
+  } else if (
+    (authType === "token" || authType === "bearer") &&
+    !config.authToken
+  ) {
+    errors.push(`'authToken' is required for ${authType} auth`);
+  } else if (authType === "oauth2") {
+    if (!config.oauthTokenUrl || !config.oauthClientId || !config.oauthClientSecret) {
+      errors.push(
+        "'oauthTokenUrl', 'oauthClientId' and 'oauthClientSecret' are required for oauth2 auth"
+      );
+    } else {
+      try {
+        new URL(config.oauthTokenUrl);
+      } catch {
+        errors.push("'oauthTokenUrl' is not a valid URL");
+      }
+    }
+  }
+
+  for (const field of [...OAUTH_FIELDS, ...TLS_FIELDS]) {
+    if (config[field] !== undefined && typeof config[field] !== "string") {
+      errors.push(`'${field}' must be a string`);
+    }
+  }
+
+  if (!!config.tlsCertPath !== !!config.tlsKeyPath) {
+    errors.push("'tlsCertPath' and 'tlsKeyPath' must be set together");
+  }
+
+  for (const field of TLS_FIELDS) {
+    if (typeof config[field] === "string" && config[field] && !resolveTlsPath(config[field])) {
+      errors.push(`'${field}' must be a readable file inside WEBHOOK_TLS_DIR`);
+    }
+  }
+
+  for (const field of ["signingSecret", "signingSecretPrevious"]) {
+    if (config[field] !== undefined && typeof config[field] !== "string") {
+      errors.push(`'${field}' must be a string`);
+    }
+  }
+
+  if (config.signingSecretPrevious && !config.signingSecret) {
+    errors.push("'signingSecretPrevious' requires 'signingSecret'");
+  }
+
+  errors.push(...validateDeliveryOptions(config));
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Validate delivery options of a destination (batching, reply actions)
+ * @returns {string[]} - Error messages
+ */
+export function validateDeliveryOptions(config) {
+  const errors = [];
+
+  for (const field of ["batchMaxEvents", "batchMaxWaitMs"]) {
+    if (
+      config[field] !== undefined &&
+      (!Number.isInteger(config[field]) || config[field] < 0)
+    ) {
+      errors.push(`'${field}' must be a non-negative integer`);
+    }
+  }
+
+  if (config.replyActions !== undefined && typeof config.replyActions !== "boolean") {
+    errors.push("'replyActions' must be a boolean");
+  }
+
+  return errors;
+}
+
+/**
+ * Hide credentials before returning a destination through the API
+ */
+export function redactDestination(destination) {
+  if (!destination) return destination;
+
+  const redacted = { ...destination };
+  if (redacted.authPassword) redacted.authPassword = "***";
+  if (redacted.authToken) redacted.authToken = "***";
+  if (redacted.oauthClientSecret) redacted.oauthClientSecret = "***";
+  if (redacted.signingSecret) redacted.signingSecret = "***";
+  if (redacted.signingSecretPrevious) redacted.signingSecretPrevious = "***";
+  return redacted;
+}
+
+/**
+ * Get the webhook override stored for a session
+ * @returns {Promise<Object|null>} - Stored config or null when the session uses the global one
+ */
+export async function getSessionWebhookConfig(sessionId) {
+  const cached = cache.get(sessionId);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.config;
+  }
+
+  const redis = await redisPool.getClient();
+  const raw = await redis.get(SESSION_CONFIG_PREFIX + sessionId);
+  const config = raw ? JSON.parse(raw) : null;
+
+  cache.set(sessionId, { config, expiresAt: Date.now() + CACHE_TTL_MS });
+  return config;
+}
+
+/**
+ * Store a webhook override for a session
+ */
+export async function setSessionWebhookConfig(sessionId, input) {
+  const config = {
+    url: input.url,
+    authType: input.authType || "none",
+    authUser: input.authUser || "",
+    authPassword: input.authPassword || "",
+    authToken: input.authToken || "",
+    ...pickClientAuthFields(input),
+    signingSecret: input.signingSecret || "",
+    signingSecretPrevious: input.signingSecretPrevious || "",
+    batchMaxEvents: input.batchMaxEvents || 0,
+    batchMaxWaitMs: input.batchMaxWaitMs || 0,
+    replyActions: input.replyActions === true,
+    updatedAt: Date.now(),
+  };
+
+  const redis = await redisPool.getClient();
+  await redis.set(SESSION_CONFIG_PREFIX + sessionId, JSON.stringify(config));
+  await redis.publish(SESSION_CONFIG_CHANNEL, sessionId);
+
+  cache.set(sessionId, { config, expiresAt: Date.now() + CACHE_TTL_MS });
+  return config;
+}
+
+/**
+ * Remove a session override so it falls back to the global config
+ */
+export async function deleteSessionWebhookConfig(sessionId) {
+  const redis = await redisPool.getClient();
+  const removed = await redis.del(SESSION_CONFIG_PREFIX + sessionId);
+  if (removed > 0) await redis.publish(SESSION_CONFIG_CHANNEL, sessionId);
+
+  cache.delete(sessionId);
+  return removed > 0;
+}
+
+/**
+ * Drop cached overrides when another instance changes them
+ */
+export async function initDestinationSync() {
+  const redis = await redisPool.getClient();
+  const subscriber = redis.duplicate();
+
+  subscriber.on("message", (channel, sessionId) => {
+    if (channel !== SESSION_CONFIG_CHANNEL) return;
+    cache.delete(sessionId);
+  });
+
+  // Changes may have been missed while disconnected
+  subscriber.on("ready", () => cache.clear());
+
+  subscriber.on("error", (err) => {
+    console.error("[WebhookDestinations] Subscriber error:", err?.message || err);
+  });
+
+  await subscriber.subscribe(SESSION_CONFIG_CHANNEL);
+  console.log("[WebhookDestinations] Session destination sync started");
+}
+
+/**
+ * Resolve where webhooks of a session must be delivered.
+ * An override replaces the whole destination (url and credentials), so
+ * global credentials are never sent to a session-specific URL.
+ */
+export async function resolveSessionDestination(sessionId) {
+  const config = sessionId ? await getSessionWebhookConfig(sessionId) : null;
+
+  if (!config?.url) {
+    return getDefaultDestination();
+  }
+
+  return {
+    id: `session:${sessionId}`,
+    url: config.url,
+    authType: config.authType,
+    authUser: config.authUser,
+    authPassword: config.authPassword,
+    authToken: config.authToken,
+    ...pickClientAuthFields(config),
+    signingSecret: config.signingSecret || "",
+    signingSecretPrevious: config.signingSecretPrevious || "",
+    batchMaxEvents: config.batchMaxEvents || 0,
+    batchMaxWaitMs: config.batchMaxWaitMs || 0,
+    replyActions: config.replyActions === true,
+  };
+}
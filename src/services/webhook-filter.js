@@ -5,13 +5,21 @@
  * Follows Baileys official event naming and structure.
  * 
  * Reference: https://baileys.wiki/docs/socket/receiving-updates/
+ *
+ * Filters default to the WEBHOOK_* env vars and can be changed at runtime
+ * (PUT /admin/webhook-filters). Runtime changes are stored in Redis and
+ * pushed to every instance over pub/sub.
  */
 
+import { redisPool } from "./redis-pool.js";
+import { isBlockedSender } from "./blocklist.js";
+import { validateRules, evaluateRules } from "./webhook-rules.js";
+
 // ============================================
 // CONFIGURATION
 // ============================================
 
-const FILTERS = {
+const ENV_FILTERS = {
     // Skip broadcast/status messages
     skipStatus: process.env.WEBHOOK_SKIP_STATUS !== "false",
 
@@ -24,7 +32,8 @@ const FILTERS = {
     // Skip messages from blocked contacts
     skipBlocked: process.env.WEBHOOK_SKIP_BLOCKED === "true",
 
-    // Only send specific events (comma-separated, empty = all events)
+    // Only send specific events (comma-separated, empty = all events).
+    // This and deniedEvents gate the session/global webhook, not subscriptions
     allowedEvents: process.env.WEBHOOK_ALLOWED_EVENTS
         ? process.env.WEBHOOK_ALLOWED_EVENTS.split(",").map(e => e.trim())
         : [],
@@ -33,8 +42,34 @@ const FILTERS = {
     deniedEvents: process.env.WEBHOOK_DENIED_EVENTS
         ? process.env.WEBHOOK_DENIED_EVENTS.split(",").map(e => e.trim())
         : [],
+
+    // Ordered include/exclude message rules (see webhook-rules.js), set at runtime
+    rules: [],
 };
 
+let FILTERS = { ...ENV_FILTERS };
+let filterSource = "env";
+let filterUpdatedAt = null;
+
+const FILTERS_KEY = "webhook:filters";
+const FILTERS_CHANNEL = "webhook:filters:changed";
+
+const BOOLEAN_FILTERS = ["skipStatus", "skipGroups", "skipChannels", "skipBlocked"];
+const EVENT_LIST_FILTERS = ["allowedEvents", "deniedEvents"];
+
+// Per-session overrides (sessionId -> partial filters), stored in a Redis hash
+const SESSION_FILTERS_KEY = "webhook:filters:sessions";
+const SESSION_FILTER_KEYS = ["skipStatus", "skipGroups", "skipChannels", "allowedEvents", "deniedEvents", "rules"];
+const sessionOverrides = new Map();
+
+/**
+ * Filters in effect for a session: global config plus the session overrides
+ */
+export function getEffectiveFilters(sessionId) {
+    const overrides = sessionId ? sessionOverrides.get(sessionId) : null;
+    return overrides ? { ...FILTERS, ...overrides } : FILTERS;
+}
+
 // ============================================
 // JID TYPE DETECTION
 // ============================================
@@ -43,7 +78,7 @@ const FILTERS = {
  * Check if JID is a status/broadcast message
  * Status messages end with @broadcast or contain status@broadcast
  */
-function isStatusJid(jid) {
+export function isStatusJid(jid) {
     if (!jid) return false;
     return jid.endsWith("@broadcast") || jid.includes("status@broadcast");
 }
@@ -52,7 +87,7 @@ function isStatusJid(jid) {
  * Check if JID is a group
  * Groups end with @g.us
  */
-function isGroupJid(jid) {
+export function isGroupJid(jid) {
     if (!jid) return false;
     return jid.endsWith("@g.us");
 }
@@ -61,7 +96,7 @@ function isGroupJid(jid) {
  * Check if JID is a channel/newsletter
  * Channels end with @newsletter
  */
-function isChannelJid(jid) {
+export function isChannelJid(jid) {
     if (!jid) return false;
     return jid.endsWith("@newsletter");
 }
@@ -70,7 +105,7 @@ function isChannelJid(jid) {
  * Check if JID is a regular private contact
  * Private contacts end with @s.whatsapp.net
  */
-function isPrivateJid(jid) {
+export function isPrivateJid(jid) {
     if (!jid) return false;
     return jid.endsWith("@s.whatsapp.net");
 }
@@ -78,7 +113,7 @@ function isPrivateJid(jid) {
 /**
  * Get JID type for logging/debugging
  */
-function getJidType(jid) {
+export function getJidType(jid) {
     if (!jid) return "unknown";
     if (isStatusJid(jid)) return "status";
     if (isGroupJid(jid)) return "group";
@@ -92,36 +127,75 @@ function getJidType(jid) {
 // ============================================
 
 /**
- * Check if a single message should trigger a webhook
- * @param {Object} message - Baileys message object with key.remoteJid
- * @returns {boolean} - true if webhook should be sent
+ * JID filter that drops a message key, if any
+ * @param {Object} key - Baileys message key
+ * @param {string} [sessionId] - Session whose overrides apply
+ * @returns {string|null} - Name of the matching filter, null when the key passes
  */
-export function shouldSendMessageWebhook(message) {
-    if (!message?.key?.remoteJid) {
-        return false;
+function getJidFilterMatch(key, sessionId) {
+    const jid = key.remoteJid;
+    const filters = getEffectiveFilters(sessionId);
+
+    // Apply filters in order of specificity
+    if (filters.skipStatus && isStatusJid(jid)) {
+        return "skipStatus";
     }
 
-    const jid = message.key.remoteJid;
+    if (filters.skipGroups && isGroupJid(jid)) {
+        return "skipGroups";
+    }
 
-    // Apply filters in order of specificity
-    if (FILTERS.skipStatus && isStatusJid(jid)) {
-        return false;
+    if (filters.skipChannels && isChannelJid(jid)) {
+        return "skipChannels";
     }
 
-    if (FILTERS.skipGroups && isGroupJid(jid)) {
-        return false;
+    if (filters.skipBlocked && isBlockedSender(sessionId, key)) {
+        return "skipBlocked";
     }
 
-    if (FILTERS.skipChannels && isChannelJid(jid)) {
-        return false;
+    return null;
+}
+
+/**
+ * Decide whether a message should trigger a webhook, and why
+ * @param {Object} message - Baileys message object with key.remoteJid
+ * @param {string} [sessionId] - Session whose overrides apply
+ * @param {Array} [rules] - Rules to use instead of the configured ones (dry runs)
+ * @returns {Object} - { send, reason, rule, ruleIndex }
+ */
+export function explainMessageWebhook(message, sessionId, rules) {
+    if (!message?.key?.remoteJid) {
+        return { send: false, reason: "missing key.remoteJid", rule: null, ruleIndex: null };
     }
 
-    // TODO: Implement blocked contacts filter when needed
-    // if (FILTERS.skipBlocked && isBlocked(jid)) {
-    //   return false;
-    // }
+    const filters = getEffectiveFilters(sessionId);
+    const skippedBy = getJidFilterMatch(message.key, sessionId);
 
-    return true;
+    if (skippedBy) {
+        return { send: false, reason: skippedBy, rule: null, ruleIndex: null };
+    }
+
+    const result = evaluateRules(rules ?? filters.rules, message);
+
+    return {
+        send: result.send,
+        reason: result.rule
+            ? `rule ${result.rule.id ?? result.index} (${result.rule.action})`
+            : result.send ? "no rule matched" : "no include rule matched",
+        rule: result.rule,
+        ruleIndex: result.index,
+        facts: result.facts,
+    };
+}
+
+/**
+ * Check if a single message should trigger a webhook
+ * @param {Object} message - Baileys message object with key.remoteJid
+ * @param {string} [sessionId] - Session whose overrides apply
+ * @returns {boolean} - true if webhook should be sent
+ */
+export function shouldSendMessageWebhook(message, sessionId) {
+    return explainMessageWebhook(message, sessionId).send;
 }
 
 /**
@@ -129,20 +203,21 @@ export function shouldSendMessageWebhook(message) {
  * Returns only messages that should trigger webhooks
  * 
  * @param {Array} messages - Array of Baileys message objects
+ * @param {string} [sessionId] - Session whose overrides apply
  * @returns {Array} - Filtered array
  */
-export function filterMessages(messages) {
+export function filterMessages(messages, sessionId) {
     if (!Array.isArray(messages)) {
         return messages;
     }
 
-    const filtered = messages.filter(shouldSendMessageWebhook);
+    const filtered = messages.filter((m) => shouldSendMessageWebhook(m, sessionId));
 
     // Log filtering results if any messages were filtered out
     if (filtered.length !== messages.length) {
         const removed = messages.length - filtered.length;
         const types = messages
-            .filter(m => !shouldSendMessageWebhook(m))
+            .filter(m => !shouldSendMessageWebhook(m, sessionId))
             .map(m => getJidType(m?.key?.remoteJid));
 
         console.log(
@@ -154,6 +229,67 @@ export function filterMessages(messages) {
     return filtered;
 }
 
+/**
+ * Check if a message key (update, receipt, reaction, deletion) passes the JID filters
+ * @param {Object} key - Baileys message key
+ * @param {string} [sessionId] - Session whose overrides apply
+ * @returns {boolean}
+ */
+export function shouldSendKeyWebhook(key, sessionId) {
+    if (!key?.remoteJid) {
+        return false;
+    }
+
+    return getJidFilterMatch(key, sessionId) === null;
+}
+
+/**
+ * Apply the JID filters to the items of a message-keyed event
+ * (messages.update, message-receipt.update, messages.reaction, messages.delete)
+ *
+ * @param {string} eventName - Baileys event name
+ * @param {*} payload - Event payload
+ * @param {string} [sessionId] - Session whose overrides apply
+ * @returns {*} - Filtered payload (the payload itself when nothing was
+ *   filtered out), or null when every item was filtered out
+ */
+export function filterKeyedEvent(eventName, payload, sessionId) {
+    switch (eventName) {
+        case "messages.update":
+        case "message-receipt.update":
+        case "messages.reaction": {
+            const items = Array.isArray(payload) ? payload : [payload];
+            const kept = items.filter(item => shouldSendKeyWebhook(item?.key, sessionId));
+
+            if (kept.length === items.length) {
+                return Array.isArray(payload) ? payload : kept;
+            }
+
+            console.log(
+                `[WebhookFilter] Filtered ${items.length - kept.length} ${eventName} item(s)`
+            );
+
+            return kept.length > 0 ? kept : null;
+        }
+
+        case "messages.delete": {
+            // Whole chat: { jid, all: true }
+            if (!Array.isArray(payload?.keys)) {
+                return payload?.jid && !shouldSendKeyWebhook({ remoteJid: payload.jid }, sessionId)
+                    ? null
+                    : payload;
+            }
+
+            const keys = payload.keys.filter(key => shouldSendKeyWebhook(key, sessionId));
+            if (keys.length === payload.keys.length) return payload;
+            return keys.length > 0 ? { ...payload, keys } : null;
+        }
+
+        default:
+            return payload;
+    }
+}
+
 // ============================================
 // EVENT FILTERING
 // ============================================
@@ -163,22 +299,25 @@ export function filterMessages(messages) {
  * Supports both whitelist (allowedEvents) and blacklist (deniedEvents)
  * 
  * @param {string} eventName - Baileys event name
+ * @param {string} [sessionId] - Session whose overrides apply
  * @returns {boolean} - true if webhook should be sent
  */
-export function shouldSendEventWebhook(eventName) {
+export function shouldSendEventWebhook(eventName, sessionId) {
     if (!eventName) return false;
 
+    const filters = getEffectiveFilters(sessionId);
+
     // Check denied events first (blacklist)
-    if (FILTERS.deniedEvents.length > 0) {
-        if (FILTERS.deniedEvents.includes(eventName)) {
+    if (filters.deniedEvents.length > 0) {
+        if (filters.deniedEvents.includes(eventName)) {
             return false;
         }
     }
 
     // Check allowed events (whitelist)
     // If allowedEvents is specified, only those events are allowed
-    if (FILTERS.allowedEvents.length > 0) {
-        return FILTERS.allowedEvents.includes(eventName);
+    if (filters.allowedEvents.length > 0) {
+        return filters.allowedEvents.includes(eventName);
     }
 
     // If no whitelist specified, allow all events (except blacklisted)
@@ -197,6 +336,8 @@ export function shouldSendEventWebhook(eventName) {
  */
 export function getFilterConfig() {
     return {
+        source: filterSource,
+        updatedAt: filterUpdatedAt,
         filters: {
             skipStatus: FILTERS.skipStatus,
             skipGroups: FILTERS.skipGroups,
@@ -204,7 +345,9 @@ export function getFilterConfig() {
             skipBlocked: FILTERS.skipBlocked,
             allowedEvents: FILTERS.allowedEvents,
             deniedEvents: FILTERS.deniedEvents,
+            rules: FILTERS.rules,
         },
+        sessionOverrides: Object.fromEntries(sessionOverrides),
         summary: {
             statusFiltered: FILTERS.skipStatus,
             groupsFiltered: FILTERS.skipGroups,
@@ -214,6 +357,7 @@ export function getFilterConfig() {
             hasEventBlacklist: FILTERS.deniedEvents.length > 0,
             whitelistedEvents: FILTERS.allowedEvents.length,
             blacklistedEvents: FILTERS.deniedEvents.length,
+            messageRules: FILTERS.rules.length,
         },
         jidTypes: {
             status: {
@@ -236,6 +380,211 @@ export function getFilterConfig() {
     };
 }
 
+// ============================================
+// RUNTIME CONFIGURATION
+// ============================================
+
+/**
+ * Validate a (partial) filter update
+ * @param {Object} input - Any of skipStatus, skipGroups, skipChannels, skipBlocked, allowedEvents, deniedEvents, rules
+ * @param {string[]} [allowedKeys] - Filters that may be set
+ * @returns {Object} - { valid, errors }
+ */
+export function validateFilterUpdate(input, allowedKeys = [...BOOLEAN_FILTERS, ...EVENT_LIST_FILTERS, "rules"]) {
+    if (!input || typeof input !== "object" || Array.isArray(input)) {
+        return { valid: false, errors: ["Filters must be an object"] };
+    }
+
+    const errors = [];
+
+    for (const [key, value] of Object.entries(input)) {
+        if (!allowedKeys.includes(key)) {
+            errors.push(`Unknown filter '${key}'. Allowed: ${allowedKeys.join(", ")}`);
+        } else if (BOOLEAN_FILTERS.includes(key)) {
+            if (typeof value !== "boolean") {
+                errors.push(`'${key}' must be a boolean`);
+            }
+        } else if (key === "rules") {
+            errors.push(...validateRules(value).errors);
+        } else {
+            if (!Array.isArray(value)) {
+                errors.push(`'${key}' must be an array of event names`);
+                continue;
+            }
+
+            for (const eventName of value) {
+                const result = validateEventName(String(eventName));
+                if (!result.valid) {
+                    errors.push(
+                        `Unknown event '${eventName}' in '${key}'` +
+                        (result.suggestions?.length
+                            ? ` (did you mean: ${result.suggestions.join(", ")})`
+                            : "")
+                    );
+                }
+            }
+        }
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+function applyStoredFilters(stored) {
+    if (!stored) {
+        FILTERS = { ...ENV_FILTERS };
+        filterSource = "env";
+        filterUpdatedAt = null;
+        return;
+    }
+
+    const { updatedAt, ...filters } = stored;
+    FILTERS = { ...ENV_FILTERS, ...filters };
+    filterSource = "redis";
+    filterUpdatedAt = updatedAt || null;
+}
+
+async function loadStoredFilters() {
+    const redis = await redisPool.getClient();
+    const raw = await redis.get(FILTERS_KEY);
+    applyStoredFilters(raw ? JSON.parse(raw) : null);
+}
+
+/**
+ * Merge a filter update into the runtime config and broadcast it
+ * @param {Object} input - Validated with validateFilterUpdate
+ */
+export async function updateFilterConfig(input) {
+    const redis = await redisPool.getClient();
+    const raw = await redis.get(FILTERS_KEY);
+
+    const stored = {
+        ...(raw ? JSON.parse(raw) : {}),
+        ...input,
+        updatedAt: Date.now(),
+    };
+
+    const message = JSON.stringify(stored);
+    await redis.set(FILTERS_KEY, message);
+    await redis.publish(FILTERS_CHANNEL, message);
+
+    applyStoredFilters(stored);
+    return getFilterConfig();
+}
+
+/**
+ * Drop runtime changes and go back to the env var defaults
+ */
+export async function resetFilterConfig() {
+    const redis = await redisPool.getClient();
+    await redis.del(FILTERS_KEY);
+    await redis.publish(FILTERS_CHANNEL, "null");
+
+    applyStoredFilters(null);
+    return getFilterConfig();
+}
+
+function applySessionOverrides(sessionId, overrides) {
+    if (overrides && Object.keys(overrides).length > 0) {
+        sessionOverrides.set(sessionId, overrides);
+    } else {
+        sessionOverrides.delete(sessionId);
+    }
+}
+
+async function loadSessionOverrides() {
+    const redis = await redisPool.getClient();
+    const raw = await redis.hgetall(SESSION_FILTERS_KEY);
+
+    sessionOverrides.clear();
+    for (const [sessionId, value] of Object.entries(raw || {})) {
+        try {
+            applySessionOverrides(sessionId, JSON.parse(value));
+        } catch (err) {
+            console.error(`[WebhookFilter] Invalid overrides for ${sessionId}:`, err.message);
+        }
+    }
+}
+
+/**
+ * Validate per-session overrides (skipStatus, skipGroups, skipChannels, allowedEvents, deniedEvents, rules)
+ */
+export function validateSessionFilterOverrides(input) {
+    return validateFilterUpdate(input, SESSION_FILTER_KEYS);
+}
+
+export function getSessionFilterOverrides(sessionId) {
+    return sessionOverrides.get(sessionId) || {};
+}
+
+/**
+ * Replace the filter overrides of a session (empty object = no overrides)
+ */
+export async function setSessionFilterOverrides(sessionId, overrides) {
+    const redis = await redisPool.getClient();
+
+    if (Object.keys(overrides).length > 0) {
+        await redis.hset(SESSION_FILTERS_KEY, sessionId, JSON.stringify(overrides));
+    } else {
+        await redis.hdel(SESSION_FILTERS_KEY, sessionId);
+    }
+
+    await redis.publish(
+        FILTERS_CHANNEL,
+        JSON.stringify({ scope: "session", sessionId, overrides })
+    );
+
+    applySessionOverrides(sessionId, overrides);
+    return getEffectiveFilters(sessionId);
+}
+
+export async function deleteSessionFilterOverrides(sessionId) {
+    await setSessionFilterOverrides(sessionId, {});
+}
+
+/**
+ * Load runtime filters and follow changes made by other instances
+ */
+export async function initFilterSync() {
+    const redis = await redisPool.getClient();
+    const subscriber = redis.duplicate();
+
+    subscriber.on("message", (channel, message) => {
+        if (channel !== FILTERS_CHANNEL) return;
+
+        try {
+            const update = JSON.parse(message);
+
+            if (update?.scope === "session") {
+                applySessionOverrides(update.sessionId, update.overrides);
+                console.log(`[WebhookFilter] Filters updated for session ${update.sessionId}`);
+                return;
+            }
+
+            applyStoredFilters(update);
+            console.log(`[WebhookFilter] Filters updated (source: ${filterSource})`);
+        } catch (err) {
+            console.error("[WebhookFilter] Invalid filter update:", err.message);
+        }
+    });
+
+    // Catch up on changes missed while disconnected
+    subscriber.on("ready", () => {
+        Promise.all([loadStoredFilters(), loadSessionOverrides()]).catch((err) =>
+            console.error("[WebhookFilter] Failed to reload filters:", err.message)
+        );
+    });
+
+    subscriber.on("error", (err) => {
+        console.error("[WebhookFilter] Subscriber error:", err?.message || err);
+    });
+
+    await subscriber.subscribe(FILTERS_CHANNEL);
+    await loadStoredFilters();
+    await loadSessionOverrides();
+
+    console.log(`[WebhookFilter] Filter sync started (source: ${filterSource})`);
+}
+
 /**
  * Get recommended Baileys v7 events for filtering
  * @returns {Object} - Event categories with descriptions
@@ -281,7 +630,8 @@ export function getBaileysEventReference() {
         custom: [
             "qr.updated",
             "session.connected",
-            "session.disconnected"
+            "session.disconnected",
+            "webhook.circuit"
         ]
     };
 }
@@ -331,8 +681,11 @@ export function validateEventName(eventName) {
 export default {
     // Main filtering functions
     shouldSendMessageWebhook,
+    explainMessageWebhook,
     shouldSendEventWebhook,
     filterMessages,
+    shouldSendKeyWebhook,
+    filterKeyedEvent,
 
     // JID type checking
     isStatusJid,
@@ -345,4 +698,13 @@ export default {
     getFilterConfig,
     getBaileysEventReference,
     validateEventName,
+    validateFilterUpdate,
+    updateFilterConfig,
+    resetFilterConfig,
+    initFilterSync,
+    getEffectiveFilters,
+    validateSessionFilterOverrides,
+    getSessionFilterOverrides,
+    setSessionFilterOverrides,
+    deleteSessionFilterOverrides,
 };
\ No newline at end of file
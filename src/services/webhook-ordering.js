@@ -0,0 +1,204 @@
+import { redisPool } from "./redis-pool.js";
+import { getEventChatJid } from "../utils/message-keys.js";
+
+/**
+ * Ordered per-chat delivery
+ *
+ * Each (destination, sessionId, remoteJid) has at most one "owner": the
+ * webhook currently being delivered or waiting for a retry. Webhooks of a
+ * chat that is owned by another webhook are parked in a held list, and are
+ * put back at the head of the queue, in FIFO order, when the owner is
+ * delivered or dead-lettered. Other chats keep flowing in parallel.
+ * Payloads spanning several chats (a messages.update batch, for example)
+ * are split per chat before they are queued, see splitByChat.
+ *
+ * Keys:
+ * - `webhook:ordering:owner:<orderKey>`: owning webhook id (with TTL)
+ * - `webhook:ordering:held:<orderKey>`: webhooks waiting behind the owner
+ */
+
+const OWNER_PREFIX = "webhook:ordering:owner:";
+const HELD_PREFIX = "webhook:ordering:held:";
+
+// Returns the current owner, taking ownership when the chat is free
+const ACQUIRE_SCRIPT = `
+local cur = redis.call('GET', KEYS[1])
+if not cur then
+  redis.call('SET', KEYS[1], ARGV[1], 'PX', ARGV[2])
+  return ARGV[1]
+end
+return cur
+`;
+
+// Parks a processing entry behind the owner, only while the chat is owned
+const HOLD_SCRIPT = `
+local cur = redis.call('GET', KEYS[1])
+if not cur or cur == ARGV[2] then
+  return 0
+end
+redis.call('LREM', KEYS[2], 1, ARGV[1])
+redis.call('RPUSH', KEYS[3], ARGV[1])
+return 1
+`;
+
+// Frees the chat and puts held webhooks back at the head of the queue
+const RELEASE_SCRIPT = `
+local cur = redis.call('GET', KEYS[1])
+if cur and cur ~= ARGV[1] then
+  return -1
+end
+redis.call('DEL', KEYS[1])
+local items = redis.call('LRANGE', KEYS[2], 0, -1)
+for i = #items, 1, -1 do
+  redis.call('RPUSH', KEYS[3], items[i])
+end
+redis.call('DEL', KEYS[2])
+return #items
+`;
+
+/**
+ * Ordering key of a webhook, or null for events that are not tied to a chat
+ */
+export function getOrderKey(webhook) {
+  const jid = getEventChatJid(webhook.event, webhook.payload);
+  if (!jid) return null;
+
+  return `${webhook.subscriptionId || "default"}:${webhook.sessionId}:${jid}`;
+}
+
+/**
+ * Split a message-keyed payload into one payload per chat, so each part
+ * is ordered under its own chat. Other payloads are returned as they are.
+ * @returns {Array} - Payloads, in the order their chats first appear
+ */
+export function splitByChat(event, payload) {
+  let items;
+  let build;
+
+  switch (event) {
+    case "messages.upsert":
+      items = (payload?.messages || []).map((message) => message?.key);
+      build = (indexes) => {
+        const part = { ...payload, messages: indexes.map((i) => payload.messages[i]) };
+        // "both" payload format: normalized messages are parallel to messages
+        if (Array.isArray(payload.normalized)) {
+          part.normalized = indexes.map((i) => payload.normalized[i]);
+        }
+        return part;
+      };
+      break;
+
+    case "messages.update":
+    case "message-receipt.update":
+    case "messages.reaction":
+      if (!Array.isArray(payload)) return [payload];
+      items = payload.map((item) => item?.key);
+      build = (indexes) => indexes.map((i) => payload[i]);
+      break;
+
+    case "messages.delete":
+      if (!Array.isArray(payload?.keys)) return [payload];
+      items = payload.keys;
+      build = (indexes) => ({ ...payload, keys: indexes.map((i) => payload.keys[i]) });
+      break;
+
+    default:
+      return [payload];
+  }
+
+  const chats = new Map();
+  items.forEach((key, index) => {
+    const jid = key?.remoteJid || null;
+    if (!chats.has(jid)) chats.set(jid, []);
+    chats.get(jid).push(index);
+  });
+
+  if (chats.size <= 1) return [payload];
+  return [...chats.values()].map(build);
+}
+
+/**
+ * Take (or confirm) ownership of a chat
+ * @returns {Promise<string>} - Id of the owner after the call
+ */
+export async function acquireChat(orderKey, webhookId, ttlMs) {
+  const redis = await redisPool.getClient();
+  return redis.eval(ACQUIRE_SCRIPT, 1, OWNER_PREFIX + orderKey, webhookId, ttlMs);
+}
+
+/**
+ * Make a webhook the owner of a chat (caller must already own it)
+ */
+export async function setChatOwner(orderKey, webhookId, ttlMs) {
+  const redis = await redisPool.getClient();
+  await redis.set(OWNER_PREFIX + orderKey, webhookId, "PX", Math.max(1, ttlMs));
+}
+
+/**
+ * Move a processing entry to the held list of its chat
+ * @returns {Promise<boolean>} - false when the chat is no longer owned by someone else
+ */
+export async function holdWebhook(orderKey, webhookId, raw, processingKey) {
+  const redis = await redisPool.getClient();
+  const held = await redis.eval(
+    HOLD_SCRIPT,
+    3,
+    OWNER_PREFIX + orderKey,
+    processingKey,
+    HELD_PREFIX + orderKey,
+    raw,
+    webhookId
+  );
+  return held === 1;
+}
+
+/**
+ * Release a chat owned by `ownerId` ("" releases an orphaned chat)
+ * @returns {Promise<number>} - Number of webhooks put back, -1 if owned by someone else
+ */
+export async function releaseChat(orderKey, ownerId, queueKey) {
+  const redis = await redisPool.getClient();
+  return redis.eval(
+    RELEASE_SCRIPT,
+    3,
+    OWNER_PREFIX + orderKey,
+    HELD_PREFIX + orderKey,
+    queueKey,
+    ownerId
+  );
+}
+
+/**
+ * Release held lists whose owner expired (crashed worker, lost retry)
+ */
+export async function releaseOrphanedChats(queueKey) {
+  const redis = await redisPool.getClient();
+  let released = 0;
+
+  for await (const keys of redisPool.scan(`${HELD_PREFIX}*`)) {
+    for (const key of keys) {
+      const orderKey = key.slice(HELD_PREFIX.length);
+      const owner = await redis.exists(OWNER_PREFIX + orderKey);
+      if (owner) continue;
+
+      const count = await releaseChat(orderKey, "", queueKey);
+      if (count > 0) released += count;
+    }
+  }
+
+  return released;
+}
+
+export async function getOrderingStats() {
+  let owned = 0;
+  let held = 0;
+
+  for await (const keys of redisPool.scan(`${OWNER_PREFIX}*`)) {
+    owned += keys.length;
+  }
+  for await (const keys of redisPool.scan(`${HELD_PREFIX}*`)) {
+    held += keys.length;
+  }
+
+  return { ownedChats: owned, chatsWithHeldWebhooks: held };
+}
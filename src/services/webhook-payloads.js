@@ -0,0 +1,167 @@
+import { gzip } from "zlib";
+import { promisify } from "util";
+import { redisPool } from "./redis-pool.js";
+import {
+  WEBHOOK_CHUNK_MAX_BYTES,
+  WEBHOOK_PAYLOAD_OFFLOAD_BYTES,
+  WEBHOOK_PAYLOAD_OFFLOAD_TTL,
+  WEBHOOK_COMPRESSION,
+  WEBHOOK_COMPRESSION_MIN_BYTES,
+} from "../config.js";
+
+/**
+ * Large webhook payloads
+ *
+ * - Chunking: history, chat and contact events above WEBHOOK_CHUNK_MAX_BYTES
+ *   are split into several webhooks. Each envelope carries `chunkId` (shared
+ *   by the chunks of one event), `chunkIndex` (0-based) and `chunkTotal`.
+ *   messaging-history.set chunks keep every other field and always contain
+ *   the `chats`, `contacts` and `messages` arrays (possibly empty).
+ * - Offloading: queued payloads above WEBHOOK_PAYLOAD_OFFLOAD_BYTES are
+ *   stored in `webhook:payload:<webhookId>` and the queue entry only keeps
+ *   `payloadRef`. The payload is loaded back at delivery time.
+ * - Compression: bodies above WEBHOOK_COMPRESSION_MIN_BYTES are gzipped
+ *   with `Content-Encoding: gzip`. Signatures cover the uncompressed body.
+ */
+
+export const PAYLOAD_PREFIX = "webhook:payload:";
+
+const gzipAsync = promisify(gzip);
+
+// Event -> fields split across chunks (null: the payload itself is the array)
+const CHUNKED_EVENTS = {
+  "messaging-history.set": ["chats", "contacts", "messages"],
+  "chats.upsert": null,
+  "chats.update": null,
+  "contacts.upsert": null,
+  "contacts.update": null,
+};
+
+function byteLength(value) {
+  return Buffer.byteLength(JSON.stringify(value) ?? "");
+}
+
+/**
+ * Greedily pack items into groups of at most maxBytes (an item larger than
+ * maxBytes gets a group of its own)
+ */
+function packItems(items, maxBytes) {
+  const groups = [];
+  let current = [];
+  let size = 2;
+
+  for (const item of items) {
+    const itemSize = byteLength(item.value) + 1;
+    if (current.length > 0 && size + itemSize > maxBytes) {
+      groups.push(current);
+      current = [];
+      size = 2;
+    }
+    current.push(item);
+    size += itemSize;
+  }
+
+  if (current.length > 0) groups.push(current);
+  return groups;
+}
+
+/**
+ * Split a payload into chunks below WEBHOOK_CHUNK_MAX_BYTES
+ * @returns {Object[]} - [{ payload, chunk }] chunk is null when the payload was not split
+ */
+export function splitPayload(event, payload) {
+  if (
+    WEBHOOK_CHUNK_MAX_BYTES <= 0 ||
+    !(event in CHUNKED_EVENTS) ||
+    byteLength(payload) <= WEBHOOK_CHUNK_MAX_BYTES
+  ) {
+    return [{ payload, chunk: null }];
+  }
+
+  const fields = CHUNKED_EVENTS[event];
+  let groups;
+  let build;
+
+  if (fields === null) {
+    if (!Array.isArray(payload)) return [{ payload, chunk: null }];
+
+    groups = packItems(payload.map((value) => ({ value })), WEBHOOK_CHUNK_MAX_BYTES);
+    build = (group) => group.map((item) => item.value);
+  } else {
+    const rest = { ...payload };
+    const items = [];
+    for (const field of fields) {
+      delete rest[field];
+      for (const value of payload?.[field] || []) items.push({ field, value });
+    }
+
+    groups = packItems(items, Math.max(WEBHOOK_CHUNK_MAX_BYTES - byteLength(rest), 1));
+    build = (group) => {
+      const chunk = { ...rest };
+      for (const field of fields) chunk[field] = [];
+      for (const { field, value } of group) chunk[field].push(value);
+      return chunk;
+    };
+  }
+
+  if (groups.length <= 1) return [{ payload, chunk: null }];
+
+  const chunkId = `chunk_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  return groups.map((group, index) => ({
+    payload: build(group),
+    chunk: { chunkId, chunkIndex: index, chunkTotal: groups.length },
+  }));
+}
+
+/**
+ * Move a large payload out of the queue entry
+ * @returns {Promise<Object>} - The webhook, with `payloadRef` instead of `payload` when offloaded
+ */
+export async function offloadPayload(webhook) {
+  if (WEBHOOK_PAYLOAD_OFFLOAD_BYTES <= 0) return webhook;
+
+  const serialized = JSON.stringify(webhook.payload);
+  if (Buffer.byteLength(serialized ?? "") <= WEBHOOK_PAYLOAD_OFFLOAD_BYTES) {
+    return webhook;
+  }
+
+  const redis = await redisPool.getClient();
+  await redis.set(PAYLOAD_PREFIX + webhook.id, serialized, "EX", WEBHOOK_PAYLOAD_OFFLOAD_TTL);
+
+  const { payload: _payload, ...rest } = webhook;
+  return { ...rest, payloadRef: webhook.id };
+}
+
+/**
+ * Payload of a queued webhook, loading it back when offloaded
+ */
+export async function loadPayload(webhook) {
+  if (!webhook.payloadRef) return webhook.payload;
+
+  const redis = await redisPool.getClient();
+  const serialized = await redis.get(PAYLOAD_PREFIX + webhook.payloadRef);
+
+  if (serialized === null) {
+    throw new Error(`Offloaded payload ${webhook.payloadRef} has expired`);
+  }
+
+  return JSON.parse(serialized);
+}
+
+export async function deleteOffloadedPayload(webhook) {
+  if (!webhook?.payloadRef) return;
+
+  const redis = await redisPool.getClient();
+  await redis.del(PAYLOAD_PREFIX + webhook.payloadRef);
+}
+
+/**
+ * Request body and extra headers, gzipped when enabled and large enough
+ */
+export async function encodeBody(body) {
+  if (WEBHOOK_COMPRESSION !== "gzip" || Buffer.byteLength(body) < WEBHOOK_COMPRESSION_MIN_BYTES) {
+    return { body, headers: {} };
+  }
+
+  return { body: await gzipAsync(body), headers: { "Content-Encoding": "gzip" } };
+}
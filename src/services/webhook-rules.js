@@ -0,0 +1,224 @@
+import { normalizeMessage, MESSAGE_KINDS } from "./message-normalizer.js";
+
+/**
+ * Rule-based message filtering
+ *
+ * Rules are evaluated in order and the first match decides:
+ *   { id?, action: "include" | "exclude", match: { ... } }
+ *
+ * Match fields (all given fields must match):
+ * - remoteJid:   glob pattern or list ("*@g.us", "5511*@s.whatsapp.net")
+ * - participant: glob pattern or list (group sender)
+ * - fromMe:      boolean
+ * - type:        message kind or list ("text", "image", ..., "media" = any media)
+ * - text:        regex source, or "/source/flags" (at most 200 characters,
+ *                without nested quantifiers such as (a+)+)
+ *
+ * When no rule matches, the message is sent unless the list has include
+ * rules (it then acts as an allowlist).
+ */
+
+export const RULE_ACTIONS = ["include", "exclude"];
+const MATCH_FIELDS = ["remoteJid", "participant", "fromMe", "type", "text"];
+const MEDIA_KINDS = ["image", "video", "audio", "document", "sticker"];
+
+const compiled = new WeakMap();
+
+function toList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+function globToRegExp(pattern) {
+  const source = String(pattern)
+    .replace(/[.+?^${}()|[\]\\]/g, "\\$&")
+    .replace(/\*/g, ".*");
+  return new RegExp(`^${source}$`);
+}
+
+// Text regexes come from the API and run on every message: keep them
+// small and refuse the shapes that backtrack catastrophically
+const MAX_REGEX_LENGTH = 200;
+
+// Quantifiers that repeat: *, +, {n,} and {n,m}
+const REPEAT = /^(?:[*+]|\{\d+,\d*\})/;
+
+/**
+ * Whether a regex source repeats a group that already contains a repeat,
+ * like (a+)+ or (\w*,)*
+ */
+function hasNestedQuantifier(source) {
+  // One flag per open group: does it contain a repeat?
+  const groups = [];
+  const markParent = () => {
+    if (groups.length > 0) groups[groups.length - 1] = true;
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (char === "\\") {
+      i++;
+    } else if (char === "[") {
+      for (i++; i < source.length && source[i] !== "]"; i++) {
+        if (source[i] === "\\") i++;
+      }
+    } else if (char === "(") {
+      groups.push(false);
+    } else if (char === ")") {
+      const inner = groups.pop() ?? false;
+      if (REPEAT.test(source.slice(i + 1))) {
+        if (inner) return true;
+        markParent();
+      } else if (inner) {
+        markParent();
+      }
+    } else if (REPEAT.test(source.slice(i))) {
+      markParent();
+    }
+  }
+
+  return false;
+}
+
+function parseRegex(value) {
+  if (value.length > MAX_REGEX_LENGTH) {
+    throw new Error(`longer than ${MAX_REGEX_LENGTH} characters`);
+  }
+
+  const literal = /^\/(.*)\/([imsu]*)$/.exec(value);
+  const source = literal ? literal[1] : value;
+
+  if (hasNestedQuantifier(source)) {
+    throw new Error("nested quantifiers like (a+)+ are not allowed");
+  }
+
+  return new RegExp(source, literal ? literal[2] : "");
+}
+
+function compileRule(rule) {
+  let result = compiled.get(rule);
+  if (result) return result;
+
+  const { match } = rule;
+  result = {
+    remoteJid:
+      match.remoteJid !== undefined ? toList(match.remoteJid).map(globToRegExp) : null,
+    participant:
+      match.participant !== undefined ? toList(match.participant).map(globToRegExp) : null,
+    type: match.type !== undefined ? toList(match.type) : null,
+    text: match.text !== undefined ? parseRegex(match.text) : null,
+  };
+
+  compiled.set(rule, result);
+  return result;
+}
+
+/**
+ * Validate a rule list
+ * @returns {Object} - { valid, errors }
+ */
+export function validateRules(rules) {
+  if (!Array.isArray(rules)) {
+    return { valid: false, errors: ["'rules' must be an array"] };
+  }
+
+  const errors = [];
+
+  rules.forEach((rule, index) => {
+    const where = `rules[${index}]`;
+
+    if (!rule || typeof rule !== "object") {
+      errors.push(`${where} must be an object`);
+      return;
+    }
+
+    if (!RULE_ACTIONS.includes(rule.action)) {
+      errors.push(`${where}.action must be one of: ${RULE_ACTIONS.join(", ")}`);
+    }
+
+    const match = rule.match;
+    if (!match || typeof match !== "object" || Object.keys(match).length === 0) {
+      errors.push(`${where}.match must be a non-empty object`);
+      return;
+    }
+
+    for (const [field, value] of Object.entries(match)) {
+      if (!MATCH_FIELDS.includes(field)) {
+        errors.push(`${where}.match.${field} is not supported. Allowed: ${MATCH_FIELDS.join(", ")}`);
+      } else if (field === "fromMe") {
+        if (typeof value !== "boolean") errors.push(`${where}.match.fromMe must be a boolean`);
+      } else if (field === "text") {
+        try {
+          parseRegex(String(value));
+        } catch (err) {
+          errors.push(`${where}.match.text is not a valid regex: ${err.message}`);
+        }
+      } else if (!toList(value).every((v) => typeof v === "string" && v)) {
+        errors.push(`${where}.match.${field} must be a string or an array of strings`);
+      } else if (field === "type") {
+        const ruleTypes = [...MESSAGE_KINDS, "media"];
+        const unknown = toList(value).filter((t) => !ruleTypes.includes(t));
+        if (unknown.length > 0) {
+          errors.push(`${where}.match.type has unknown kinds: ${unknown.join(", ")}. Allowed: ${ruleTypes.join(", ")}`);
+        }
+      }
+    }
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+function ruleMatches(rule, facts) {
+  const c = compileRule(rule);
+
+  if (c.remoteJid && !c.remoteJid.some((re) => re.test(facts.remoteJid || ""))) return false;
+  if (c.participant && !c.participant.some((re) => re.test(facts.participant || ""))) return false;
+  if (rule.match.fromMe !== undefined && rule.match.fromMe !== facts.fromMe) return false;
+  if (
+    c.type &&
+    !c.type.some((t) => t === facts.kind || (t === "media" && MEDIA_KINDS.includes(facts.kind)))
+  ) {
+    return false;
+  }
+  if (c.text && !c.text.test(facts.text || "")) return false;
+
+  return true;
+}
+
+/**
+ * Run a message through the rules
+ * @returns {Object} - { send, rule, index, facts } (rule/index null when nothing matched)
+ */
+export function evaluateRules(rules, message) {
+  const list = Array.isArray(rules) ? rules : [];
+  if (list.length === 0) {
+    return { send: true, rule: null, index: null, facts: null };
+  }
+
+  const normalized = normalizeMessage(message);
+  const facts = {
+    remoteJid: normalized.chatJid,
+    participant: normalized.key.participant,
+    fromMe: normalized.fromMe,
+    kind: normalized.kind,
+    text: normalized.text,
+  };
+
+  for (let index = 0; index < list.length; index++) {
+    if (ruleMatches(list[index], facts)) {
+      return {
+        send: list[index].action === "include",
+        rule: list[index],
+        index,
+        facts,
+      };
+    }
+  }
+
+  return {
+    send: !list.some((rule) => rule.action === "include"),
+    rule: null,
+    index: null,
+    facts,
+  };
+}
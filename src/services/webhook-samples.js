@@ -0,0 +1,216 @@
+import { getBaileysEventReference } from "./webhook-filter.js";
+import { formatMessagesPayload } from "./message-normalizer.js";
+import { WEBHOOK_PAYLOAD_FORMAT } from "../config.js";
+
+/**
+ * Sample payloads for webhook tests
+ *
+ * Realistic payloads, shaped like the ones socket-factory.js sends, for
+ * every event in getBaileysEventReference(). Used by POST /admin/webhook-test
+ * to exercise a receiver without real WhatsApp traffic.
+ */
+
+const SAMPLE_CONTACT = "5511999990000@s.whatsapp.net";
+const SAMPLE_SELF = "5511888880000:12@s.whatsapp.net";
+const SAMPLE_GROUP = "120363000000000000@g.us";
+
+function sampleKey(overrides = {}) {
+  return {
+    remoteJid: SAMPLE_CONTACT,
+    id: "3EB0SAMPLE0000000000",
+    fromMe: false,
+    participant: undefined,
+    ...overrides,
+  };
+}
+
+function sampleMessage() {
+  return {
+    key: sampleKey(),
+    messageTimestamp: Math.floor(Date.now() / 1000),
+    pushName: "Sample Contact",
+    message: {
+      extendedTextMessage: {
+        text: "Hello! This is a test message.",
+        contextInfo: { mentionedJid: [] },
+      },
+    },
+  };
+}
+
+const SAMPLES = {
+  "connection.update": () => ({ connection: "open", isNewLogin: false }),
+
+  "creds.update": () => ({
+    me: { id: SAMPLE_SELF, name: "Sample Account" },
+    registered: true,
+  }),
+
+  "messages.upsert": () =>
+    formatMessagesPayload(
+      { type: "notify", messages: [sampleMessage()] },
+      WEBHOOK_PAYLOAD_FORMAT,
+      { selfJid: SAMPLE_SELF }
+    ),
+
+  "messages.update": () => [
+    {
+      key: sampleKey({ fromMe: true }),
+      update: { status: 4 },
+      timestamp: new Date().toISOString(),
+    },
+  ],
+
+  "messages.delete": () => ({ keys: [sampleKey()] }),
+
+  "messages.reaction": () => [
+    {
+      key: sampleKey({ fromMe: true }),
+      reaction: {
+        key: sampleKey({ id: "3EB0SAMPLEREACTION00" }),
+        text: "👍",
+        senderTimestampMs: Date.now(),
+      },
+    },
+  ],
+
+  "message-receipt.update": () => [
+    {
+      key: sampleKey({ fromMe: true }),
+      receipt: {
+        readTimestamp: new Date().toISOString(),
+        deliveredTimestamp: new Date(Date.now() - 5000).toISOString(),
+        playedTimestamp: null,
+        userJid: SAMPLE_CONTACT,
+      },
+      timestamp: new Date().toISOString(),
+    },
+  ],
+
+  "chats.upsert": () => [
+    { id: SAMPLE_CONTACT, name: "Sample Contact", unreadCount: 1, conversationTimestamp: Math.floor(Date.now() / 1000) },
+  ],
+
+  "chats.update": () => [{ id: SAMPLE_CONTACT, unreadCount: 0 }],
+
+  "chats.delete": () => [SAMPLE_CONTACT],
+
+  "contacts.upsert": () => [
+    { id: SAMPLE_CONTACT, name: "Sample Contact", notify: "Sample" },
+  ],
+
+  "contacts.update": () => [{ id: SAMPLE_CONTACT, notify: "Sample (renamed)" }],
+
+  "groups.upsert": () => [
+    {
+      id: SAMPLE_GROUP,
+      subject: "Sample Group",
+      owner: SAMPLE_SELF,
+      creation: Math.floor(Date.now() / 1000),
+      participants: [
+        { id: SAMPLE_SELF, admin: "superadmin" },
+        { id: SAMPLE_CONTACT, admin: null },
+      ],
+    },
+  ],
+
+  "groups.update": () => [{ id: SAMPLE_GROUP, subject: "Sample Group (renamed)" }],
+
+  "group-participants.update": () => ({
+    id: SAMPLE_GROUP,
+    author: SAMPLE_SELF,
+    participants: [SAMPLE_CONTACT],
+    action: "add",
+  }),
+
+  "messaging-history.set": () => ({
+    chats: [{ id: SAMPLE_CONTACT, name: "Sample Contact" }],
+    contacts: [{ id: SAMPLE_CONTACT, notify: "Sample" }],
+    messages: [sampleMessage()],
+    isLatest: true,
+  }),
+
+  "presence.update": () => ({
+    id: SAMPLE_CONTACT,
+    presences: { [SAMPLE_CONTACT]: { lastKnownPresence: "composing" } },
+  }),
+
+  call: () => [
+    {
+      chatId: SAMPLE_CONTACT,
+      from: SAMPLE_CONTACT,
+      id: "SAMPLECALL000000",
+      date: new Date().toISOString(),
+      isVideo: false,
+      isGroup: false,
+      status: "offer",
+    },
+  ],
+
+  "blocklist.set": () => ({ blocklist: [SAMPLE_CONTACT] }),
+
+  "blocklist.update": () => ({ blocklist: [SAMPLE_CONTACT], type: "add" }),
+
+  "qr.updated": (sessionId) => ({
+    sessionId,
+    qr: "2@SAMPLEQRCODE0000000000000000,SAMPLE,SAMPLE,SAMPLE",
+    generatedAt: Date.now(),
+    expiresAt: Date.now() + 60000,
+  }),
+
+  "session.connected": (sessionId) => ({
+    sessionId,
+    status: "open",
+    connectedAt: Date.now(),
+    isNewLogin: false,
+    phone: SAMPLE_SELF,
+    name: "Sample Account",
+    platform: "android",
+    deviceManufacturer: null,
+    deviceModel: null,
+    osVersion: null,
+  }),
+
+  "session.disconnected": (sessionId) => ({
+    sessionId,
+    status: "close",
+    disconnectedAt: Date.now(),
+    reason: "Connection Lost",
+    statusCode: 408,
+    isLoggedOut: false,
+    needsReconnect: false,
+    connectionLost: true,
+    timedOut: false,
+  }),
+
+  "webhook.circuit": () => ({
+    url: "https://receiver.example.com/webhook",
+    previous: "closed",
+    state: "open",
+    reason: "5 consecutive failures",
+    failures: 5,
+    openedAt: Date.now(),
+    retryAt: Date.now() + 30000,
+    lastFailureAt: Date.now(),
+    lastError: "HTTP 503: Service Unavailable",
+    ts: Date.now(),
+  }),
+};
+
+/**
+ * Events that have a sample payload
+ */
+export function listSampleEvents() {
+  return Object.values(getBaileysEventReference())
+    .flat()
+    .filter((event) => SAMPLES[event]);
+}
+
+/**
+ * Build a sample payload
+ * @returns {*} - Payload, or undefined for events without a sample
+ */
+export function buildSamplePayload(event, sessionId = "test-session") {
+  const build = SAMPLES[event];
+  return build ? JSON.parse(JSON.stringify(build(sessionId))) : undefined;
+}
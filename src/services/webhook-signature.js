@@ -0,0 +1,47 @@
+import { createHmac } from "crypto";
+
+/**
+ * Webhook signing (HMAC-SHA256)
+ *
+ * The signed content is `<timestamp>.<raw body>`. Signatures are sent as
+ * `X-Signature: sha256=<hex>`; while a secret is being rotated, one
+ * signature per active secret is sent, comma-separated, so receivers can
+ * accept either the old or the new secret. Receiver-side verification is
+ * described in the README.
+ */
+
+export const SIGNATURE_SCHEME = "sha256";
+
+/**
+ * Compute the hex HMAC of a payload
+ * @param {string} body - Raw request body
+ * @param {string|number} timestamp - Unix timestamp (seconds)
+ * @param {string} secret - Signing secret
+ */
+export function computeSignature(body, timestamp, secret) {
+  return createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+}
+
+/**
+ * Build the headers that identify and sign an outgoing webhook
+ * @param {Object} options - { id, body, secrets, timestamp }
+ * @returns {Object} - Headers to merge into the request
+ */
+export function buildSignatureHeaders({ id, body, secrets = [], timestamp }) {
+  const ts = String(timestamp ?? Math.floor(Date.now() / 1000));
+  const headers = {
+    "X-Webhook-Id": id,
+    "X-Timestamp": ts,
+  };
+
+  const active = secrets.filter(Boolean);
+  if (active.length > 0) {
+    headers["X-Signature"] = active
+      .map((secret) => `${SIGNATURE_SCHEME}=${computeSignature(body, ts, secret)}`)
+      .join(",");
+  }
+
+  return headers;
+}
@@ -0,0 +1,300 @@
+import { randomBytes } from "crypto";
+import { redisPool } from "./redis-pool.js";
+import { validateDestinationConfig } from "./webhook-destinations.js";
+import {
+  validateEventName,
+  isStatusJid,
+  isGroupJid,
+  isChannelJid,
+  isPrivateJid,
+} from "./webhook-filter.js";
+
+/**
+ * Webhook subscriptions
+ *
+ * Extra destinations that receive a copy of the events, each with its own
+ * URL, credentials, event allowlist, session allowlist and JID-type filters.
+ * Stored in the Redis hash `webhook:subscriptions` (field = subscription id).
+ * Each instance caches the hash; changes are announced on the
+ * `webhook:subscriptions:changed` channel so every cache reloads at once.
+ */
+
+const SUBSCRIPTIONS_KEY = "webhook:subscriptions";
+const SUBSCRIPTIONS_CHANNEL = "webhook:subscriptions:changed";
+const REFRESH_INTERVAL_MS = 10000;
+
+const JID_FILTERS = ["skipStatus", "skipGroups", "skipChannels", "skipPrivate"];
+
+let cache = new Map();
+let loadedAt = 0;
+
+async function loadSubscriptions(force = false) {
+  if (!force && Date.now() - loadedAt < REFRESH_INTERVAL_MS) {
+    return cache;
+  }
+
+  const redis = await redisPool.getClient();
+  const raw = await redis.hgetall(SUBSCRIPTIONS_KEY);
+
+  const next = new Map();
+  for (const [id, value] of Object.entries(raw || {})) {
+    try {
+      next.set(id, JSON.parse(value));
+    } catch (err) {
+      console.error(`[WebhookSubscriptions] Invalid subscription ${id}:`, err.message);
+    }
+  }
+
+  cache = next;
+  loadedAt = Date.now();
+  return cache;
+}
+
+// Make every instance (this one included) reload on its next lookup
+async function publishChange(redis, id) {
+  await redis.publish(SUBSCRIPTIONS_CHANNEL, id);
+}
+
+/**
+ * Reload the cache whenever another instance changes a subscription
+ */
+export async function initSubscriptionSync() {
+  const redis = await redisPool.getClient();
+  const subscriber = redis.duplicate();
+
+  subscriber.on("message", (channel) => {
+    if (channel !== SUBSCRIPTIONS_CHANNEL) return;
+    loadedAt = 0;
+  });
+
+  // Changes may have been missed while disconnected
+  subscriber.on("ready", () => {
+    loadedAt = 0;
+  });
+
+  subscriber.on("error", (err) => {
+    console.error("[WebhookSubscriptions] Subscriber error:", err?.message || err);
+  });
+
+  await subscriber.subscribe(SUBSCRIPTIONS_CHANNEL);
+  console.log("[WebhookSubscriptions] Subscription sync started");
+}
+
+/**
+ * Validate a subscription payload
+ * @param {Object} input - Subscription fields
+ * @param {Object} [previous] - Stored subscription for a partial update: the
+ *   destination is validated as it will be stored (update merged over it)
+ * @returns {Object} - { valid, errors }
+ */
+export function validateSubscription(input, previous = null) {
+  if (!input || typeof input !== "object") {
+    return { valid: false, errors: ["Subscription must be an object"] };
+  }
+
+  const errors = [];
+
+  errors.push(...validateDestinationConfig({ ...previous, ...input }).errors);
+
+  if (input.events !== undefined) {
+    if (!Array.isArray(input.events)) {
+      errors.push("'events' must be an array");
+    } else {
+      for (const eventName of input.events) {
+        const result = validateEventName(String(eventName));
+        if (!result.valid) {
+          errors.push(
+            `Unknown event '${eventName}'` +
+            (result.suggestions?.length
+              ? ` (did you mean: ${result.suggestions.join(", ")})`
+              : "")
+          );
+        }
+      }
+    }
+  }
+
+  if (input.sessions !== undefined && !Array.isArray(input.sessions)) {
+    errors.push("'sessions' must be an array");
+  }
+
+  if (input.filters !== undefined) {
+    if (!input.filters || typeof input.filters !== "object") {
+      errors.push("'filters' must be an object");
+    } else {
+      for (const key of Object.keys(input.filters)) {
+        if (!JID_FILTERS.includes(key)) {
+          errors.push(`Unknown filter '${key}'. Allowed: ${JID_FILTERS.join(", ")}`);
+        } else if (typeof input.filters[key] !== "boolean") {
+          errors.push(`Filter '${key}' must be a boolean`);
+        }
+      }
+    }
+  }
+
+  if (input.enabled !== undefined && typeof input.enabled !== "boolean") {
+    errors.push("'enabled' must be a boolean");
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+function buildSubscription(input, previous = {}) {
+  const merged = { ...previous, ...input };
+
+  return {
+    id: previous.id,
+    name: merged.name || "",
+    url: merged.url,
+    authType: merged.authType || "none",
+    authUser: merged.authUser || "",
+    authPassword: merged.authPassword || "",
+    authToken: merged.authToken || "",
+    oauthTokenUrl: merged.oauthTokenUrl || "",
+    oauthClientId: merged.oauthClientId || "",
+    oauthClientSecret: merged.oauthClientSecret || "",
+    oauthScope: merged.oauthScope || "",
+    oauthAudience: merged.oauthAudience || "",
+    tlsCertPath: merged.tlsCertPath || "",
+    tlsKeyPath: merged.tlsKeyPath || "",
+    tlsCaPath: merged.tlsCaPath || "",
+    signingSecret: merged.signingSecret || "",
+    signingSecretPrevious: merged.signingSecretPrevious || "",
+    batchMaxEvents: merged.batchMaxEvents || 0,
+    batchMaxWaitMs: merged.batchMaxWaitMs || 0,
+    replyActions: merged.replyActions === true,
+    events: merged.events || [],
+    sessions: merged.sessions || [],
+    filters: {
+      skipStatus: false,
+      skipGroups: false,
+      skipChannels: false,
+      skipPrivate: false,
+      ...(previous.filters || {}),
+      ...(input.filters || {}),
+    },
+    enabled: merged.enabled ?? true,
+    createdAt: previous.createdAt || Date.now(),
+    updatedAt: Date.now(),
+  };
+}
+
+export async function listSubscriptions() {
+  const subscriptions = await loadSubscriptions();
+  return Array.from(subscriptions.values());
+}
+
+export async function getSubscription(id) {
+  const subscriptions = await loadSubscriptions();
+  return subscriptions.get(id) || null;
+}
+
+export async function createSubscription(input) {
+  const subscription = buildSubscription(input, {
+    id: `sub_${randomBytes(8).toString("hex")}`,
+  });
+
+  const redis = await redisPool.getClient();
+  await redis.hset(SUBSCRIPTIONS_KEY, subscription.id, JSON.stringify(subscription));
+  await publishChange(redis, subscription.id);
+
+  cache.set(subscription.id, subscription);
+  return subscription;
+}
+
+export async function updateSubscription(id, input) {
+  await loadSubscriptions(true);
+  const previous = cache.get(id);
+  if (!previous) return null;
+
+  const subscription = buildSubscription(input, previous);
+
+  const redis = await redisPool.getClient();
+  await redis.hset(SUBSCRIPTIONS_KEY, id, JSON.stringify(subscription));
+  await publishChange(redis, id);
+
+  cache.set(id, subscription);
+  return subscription;
+}
+
+export async function deleteSubscription(id) {
+  const redis = await redisPool.getClient();
+  const removed = await redis.hdel(SUBSCRIPTIONS_KEY, id);
+  if (removed > 0) await publishChange(redis, id);
+
+  cache.delete(id);
+  return removed > 0;
+}
+
+/**
+ * Enabled subscriptions interested in an event of a session
+ */
+export async function matchSubscriptions(sessionId, event) {
+  const subscriptions = await listSubscriptions();
+
+  return subscriptions.filter(
+    (sub) =>
+      sub.enabled &&
+      (sub.events.length === 0 || sub.events.includes(event)) &&
+      (sub.sessions.length === 0 || sub.sessions.includes(sessionId))
+  );
+}
+
+/**
+ * Check a JID against the JID-type filters of a subscription
+ */
+export function subscriptionAcceptsJid(subscription, jid) {
+  const filters = subscription.filters || {};
+
+  if (filters.skipStatus && isStatusJid(jid)) return false;
+  if (filters.skipGroups && isGroupJid(jid)) return false;
+  if (filters.skipChannels && isChannelJid(jid)) return false;
+  if (filters.skipPrivate && isPrivateJid(jid)) return false;
+
+  return true;
+}
+
+/**
+ * Narrow a payload to what a subscription wants to receive
+ * @returns {Object|null} - Payload to deliver, or null when nothing is left
+ */
+export function applySubscriptionFilters(subscription, event, payload) {
+  if (event === "messages.upsert" && Array.isArray(payload?.messages)) {
+    const messages = payload.messages.filter((m) =>
+      subscriptionAcceptsJid(subscription, m?.key?.remoteJid)
+    );
+
+    if (messages.length === 0) return null;
+
+    // Keep the normalized copies (payload format "both") in sync
+    if (Array.isArray(payload.normalized)) {
+      const ids = new Set(messages.map((m) => m?.key?.id));
+      return {
+        ...payload,
+        messages,
+        normalized: payload.normalized.filter((n) => ids.has(n?.key?.id)),
+      };
+    }
+
+    return { ...payload, messages };
+  }
+
+  if (
+    ["messages.update", "message-receipt.update", "messages.reaction"].includes(event) &&
+    Array.isArray(payload)
+  ) {
+    const items = payload.filter((item) =>
+      subscriptionAcceptsJid(subscription, item?.key?.remoteJid)
+    );
+    return items.length > 0 ? items : null;
+  }
+
+  if (event === "messages.delete" && Array.isArray(payload?.keys)) {
+    const keys = payload.keys.filter((key) =>
+      subscriptionAcceptsJid(subscription, key?.remoteJid)
+    );
+    return keys.length > 0 ? { ...payload, keys } : null;
+  }
+
+  return payload;
+}
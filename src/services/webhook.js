@@ -1,45 +1,241 @@
 import { redisPool } from "./redis-pool.js";
 import {
-  WEBHOOK_URL,
-  WEBHOOK_AUTH_TYPE,
-  WEBHOOK_AUTH_USER,
-  WEBHOOK_AUTH_PASSWORD,
-  WEBHOOK_AUTH_TOKEN,
+  WEBHOOK_MAX_RETRIES,
+  WEBHOOK_RETRY_DELAY,
+  WEBHOOK_SCHEDULER_INTERVAL,
+  WEBHOOK_VISIBILITY_TIMEOUT,
+  WEBHOOK_REAPER_INTERVAL,
+  WEBHOOK_ORDERED_DELIVERY,
 } from "../config.js";
+import { resolveSessionDestination } from "./webhook-destinations.js";
+import { buildSignatureHeaders } from "./webhook-signature.js";
+import {
+  buildAuthHeaders,
+  buildTlsOptions,
+  invalidateOAuthToken,
+} from "./webhook-auth.js";
+import { circuitBreaker, isCircuitFailure } from "./webhook-circuit.js";
+import { shouldSendEventWebhook } from "./webhook-filter.js";
+import { recordDelivery } from "./webhook-delivery-log.js";
+import { executeReplyActions } from "./webhook-actions.js";
+import { publishEvent } from "./event-stream.js";
+import { appendEvent } from "./event-log.js";
+import { dropDuplicates, unmarkDuplicates } from "./webhook-dedup.js";
+import { EVENT_SCHEMA_VERSION, checkEmittedPayload } from "./event-schemas.js";
+import {
+  splitPayload,
+  offloadPayload,
+  loadPayload,
+  deleteOffloadedPayload,
+  encodeBody,
+} from "./webhook-payloads.js";
+import {
+  getSubscription,
+  matchSubscriptions,
+  applySubscriptionFilters,
+} from "./webhook-subscriptions.js";
+import {
+  getOrderKey,
+  splitByChat,
+  acquireChat,
+  setChatOwner,
+  holdWebhook,
+  releaseChat,
+  releaseOrphanedChats,
+  getOrderingStats,
+} from "./webhook-ordering.js";
+import {
+  getEventPriority,
+  admitWebhooks,
+  restoreSpilled,
+  getBackpressureStats,
+} from "./webhook-backpressure.js";
+
+// Atomically moves due retries from the delayed set back to the queue
+const PROMOTE_DUE_SCRIPT = `
+local items = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', ARGV[1], 'LIMIT', 0, ARGV[2])
+for _, item in ipairs(items) do
+  redis.call('ZREM', KEYS[1], item)
+  redis.call('LPUSH', KEYS[2], item)
+end
+return #items
+`;
+
+// Moves a stale processing entry back to a list, only if it is still there.
+// LPUSH like every other producer, so the dead-letter list stays newest first
+const REQUEUE_STALE_SCRIPT = `
+local removed = redis.call('LREM', KEYS[1], 1, ARGV[1])
+if removed == 1 then
+  redis.call('LPUSH', KEYS[2], ARGV[2])
+end
+redis.call('HDEL', KEYS[3], ARGV[3])
+return removed
+`;
+
+// Moves a list entry to another list, only if it is still there
+const MOVE_ENTRY_SCRIPT = `
+local removed = redis.call('LREM', KEYS[1], 1, ARGV[1])
+if removed == 1 and ARGV[2] ~= '' then
+  redis.call('LPUSH', KEYS[2], ARGV[2])
+end
+return removed
+`;
+
+// Moves a list entry to the delayed set, only if it is still there
+const DELAY_ENTRY_SCRIPT = `
+local removed = redis.call('LREM', KEYS[1], 1, ARGV[1])
+if removed == 1 then
+  redis.call('ZADD', KEYS[2], ARGV[2], ARGV[1])
+end
+return removed
+`;
 
 class WebhookQueue {
   constructor() {
     this.queueKey = "webhook:queue";
     this.processingKey = "webhook:processing";
     this.failedKey = "webhook:failed";
+    this.delayedKey = "webhook:delayed";
+    this.claimsKey = "webhook:processing:claims";
     this.isProcessing = false;
-    this.maxRetries = 3;
+    this.maxRetries = WEBHOOK_MAX_RETRIES;
     this.batchSize = 10;
-    this.retryDelay = 5000;
+    this.retryDelay = WEBHOOK_RETRY_DELAY;
+    this.schedulerInterval = WEBHOOK_SCHEDULER_INTERVAL;
+    this.schedulerTimer = null;
+    this.visibilityTimeout = WEBHOOK_VISIBILITY_TIMEOUT;
+    this.reaperInterval = WEBHOOK_REAPER_INTERVAL;
+    this.reaperTimer = null;
+    this.orderingEnabled = WEBHOOK_ORDERED_DELIVERY;
+    this.batchBuffers = new Map();
   }
 
-  async enqueue(sessionId, event, payload) {
-    if (!WEBHOOK_URL) return { ok: false, reason: "no-webhook-url" };
+  /**
+   * Queue one webhook per destination: the session/global webhook plus
+   * every matching subscription. Each copy is delivered and retried
+   * independently.
+   * @param {Object} [options] - { replayed: { cursor, ts } } when re-sent from the event log,
+   *   { chunk: { chunkId, chunkIndex, chunkTotal } } for one part of a split payload,
+   *   { excludeUrl } to skip the destinations posting to that URL
+   */
+  async enqueue(sessionId, event, payload, options = {}) {
+    const targets = [];
 
-    const webhook = {
-      id: `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      sessionId,
+    // The allowed/denied events of the webhook filters only apply to the
+    // session/global destination; subscriptions have their own event list
+    const destination = await resolveSessionDestination(sessionId);
+    if (
+      destination.url &&
+      destination.url !== options.excludeUrl &&
+      shouldSendEventWebhook(event, sessionId)
+    ) {
+      targets.push({ subscriptionId: null, payload });
+    }
+
+    for (const subscription of await matchSubscriptions(sessionId, event)) {
+      if (subscription.url === options.excludeUrl) continue;
+
+      const filtered = applySubscriptionFilters(subscription, event, payload);
+      if (filtered !== null) {
+        targets.push({ subscriptionId: subscription.id, payload: filtered });
+      }
+    }
+
+    if (targets.length === 0) return { ok: false, reason: "no-webhook-url" };
+
+    const webhooks = targets.map((target) => {
+      // priority and id lead the serialized entry: backpressure reads them
+      // from the raw string
+      const webhook = {
+        priority: getEventPriority(event),
+        id: `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        sessionId,
+        event,
+        payload: target.payload,
+        subscriptionId: target.subscriptionId,
+        ts: Date.now(),
+        attempts: 0,
+        lastAttempt: null,
+        errors: [],
+      };
+      if (options.replayed) webhook.replayed = options.replayed;
+      if (options.chunk) webhook.chunk = options.chunk;
+      webhook.orderKey = getOrderKey(webhook);
+      return webhook;
+    });
+
+    const entries = [];
+    for (const webhook of webhooks) {
+      entries.push(JSON.stringify(await offloadPayload(webhook)));
+    }
+
+    const { accepted, refused, spilled, droppedIds } = await admitWebhooks(
+      this.queueKey,
       event,
-      payload,
-      ts: Date.now(),
-      attempts: 0,
-      lastAttempt: null,
-      errors: [],
-    };
+      entries
+    );
 
-    const redis = await redisPool.getClient();
-    await redis.lpush(this.queueKey, JSON.stringify(webhook));
+    // Offloaded payloads of webhooks that will never be delivered
+    const dropped = [
+      ...(spilled ? [] : webhooks.slice(accepted).map((w) => w.id)),
+      ...droppedIds,
+    ];
+    for (const id of dropped) {
+      await deleteOffloadedPayload({ payloadRef: id });
+    }
 
     if (!this.isProcessing) {
       this.startProcessing();
     }
 
-    return { ok: true, id: webhook.id };
+    if (accepted === 0 && spilled === 0) {
+      return { ok: false, reason: "queue-full", refused };
+    }
+
+    const ids = webhooks.slice(0, accepted).map((w) => w.id);
+    return { ok: true, id: ids[0], ids, refused, spilled };
+  }
+
+  /**
+   * Queue an event, split per chat when ordered delivery is on and into
+   * chunks when its payload is too large. The event log and the live
+   * stream keep the unsplit payload: replays go through here again and
+   * are split the same way.
+   * @param {Object} [options] - Passed to enqueue()
+   * @returns {Promise<Object>} - enqueue() result, or { ok, chunkId, chunks } when split
+   */
+  async enqueueEvent(sessionId, event, payload, options = {}) {
+    if (this.orderingEnabled) {
+      const perChat = splitByChat(event, payload);
+      if (perChat.length > 1) {
+        const results = [];
+        for (const part of perChat) {
+          results.push(await this.enqueue(sessionId, event, part, options));
+        }
+        return {
+          ok: results.some((result) => result.ok),
+          id: results.find((result) => result.ok)?.id,
+          ids: results.flatMap((result) => result.ids || []),
+          chats: results.length,
+        };
+      }
+    }
+
+    const parts = splitPayload(event, payload);
+    if (parts.length === 1) {
+      return this.enqueue(sessionId, event, payload, options);
+    }
+
+    const chunks = [];
+    for (const { payload: part, chunk } of parts) {
+      chunks.push(await this.enqueue(sessionId, event, part, { ...options, chunk }));
+    }
+
+    return {
+      ok: chunks.some((result) => result.ok),
+      chunkId: parts[0].chunk.chunkId,
+      chunks,
+    };
   }
 
   async startProcessing() {
@@ -48,6 +244,9 @@ class WebhookQueue {
 
     console.log("[WebhookQueue] Starting webhook processor...");
 
+    this.startScheduler();
+    this.startReaper();
+
     while (this.isProcessing) {
       try {
         await this.processBatch();
@@ -59,39 +258,632 @@ class WebhookQueue {
     }
   }
 
+  /**
+   * Periodically promote retries whose backoff has elapsed, and webhooks
+   * parked while their destination circuit was open.
+   * Both live in a Redis sorted set scored by due time, so they survive
+   * restarts during the backoff window. Like defer() and the reaper, this
+   * bypasses WEBHOOK_QUEUE_MAX_LENGTH: the webhooks were already admitted.
+   */
+  startScheduler() {
+    if (this.schedulerTimer) return;
+
+    this.schedulerTimer = setInterval(async () => {
+      try {
+        await this.promoteDueRetries();
+        await restoreSpilled(this.queueKey);
+      } catch (err) {
+        console.error("[WebhookQueue] Scheduler error:", err?.message || err);
+      }
+    }, this.schedulerInterval);
+  }
+
+  stopScheduler() {
+    if (this.schedulerTimer) {
+      clearInterval(this.schedulerTimer);
+      this.schedulerTimer = null;
+    }
+  }
+
+  async promoteDueRetries(limit = 100) {
+    const redis = await redisPool.getClient();
+    const promoted = await redis.eval(
+      PROMOTE_DUE_SCRIPT,
+      2,
+      this.delayedKey,
+      this.queueKey,
+      Date.now(),
+      limit
+    );
+
+    if (promoted > 0) {
+      console.log(`[WebhookQueue] Promoted ${promoted} due retries`);
+    }
+
+    return promoted;
+  }
+
+  /**
+   * Recover webhooks left in the processing list by a crashed worker.
+   * Runs once at boot and then on a timer.
+   */
+  startReaper() {
+    if (this.reaperTimer) return;
+
+    const run = async () => {
+      try {
+        await this.reapStaleProcessing();
+      } catch (err) {
+        console.error("[WebhookQueue] Reaper error:", err?.message || err);
+      }
+    };
+
+    run();
+    this.reaperTimer = setInterval(run, this.reaperInterval);
+  }
+
+  stopReaper() {
+    if (this.reaperTimer) {
+      clearInterval(this.reaperTimer);
+      this.reaperTimer = null;
+    }
+  }
+
+  /**
+   * Requeue processing entries claimed longer than the visibility timeout.
+   * Entries without a claim (crash right after rpoplpush) get one now and
+   * are recovered on a later pass.
+   */
+  async reapStaleProcessing() {
+    const redis = await redisPool.getClient();
+    const [items, claims] = await Promise.all([
+      redis.lrange(this.processingKey, 0, -1),
+      redis.hgetall(this.claimsKey),
+    ]);
+
+    const now = Date.now();
+    const inFlight = new Set();
+    let recovered = 0;
+
+    for (const raw of items) {
+      let webhook;
+      try {
+        webhook = JSON.parse(raw);
+      } catch {
+        await redis.lrem(this.processingKey, 1, raw);
+        console.error("[WebhookQueue] Removed unparseable processing entry");
+        continue;
+      }
+
+      inFlight.add(webhook.id);
+      const claimedAt = parseInt(claims?.[webhook.id], 10);
+
+      if (!claimedAt) {
+        await redis.hsetnx(this.claimsKey, webhook.id, now);
+        continue;
+      }
+
+      if (now - claimedAt < this.visibilityTimeout) continue;
+
+      webhook.attempts++;
+      webhook.lastAttempt = now;
+      webhook.errors.push({
+        attempt: webhook.attempts,
+        error: "Visibility timeout exceeded (recovered after worker crash)",
+        ts: now,
+      });
+
+      const exhausted = webhook.attempts >= this.maxRetries;
+      if (exhausted) webhook.failedAt = now;
+      const removed = await redis.eval(
+        REQUEUE_STALE_SCRIPT,
+        3,
+        this.processingKey,
+        exhausted ? this.failedKey : this.queueKey,
+        this.claimsKey,
+        raw,
+        JSON.stringify(webhook),
+        webhook.id
+      );
+
+      if (removed) {
+        recovered++;
+        console.warn(
+          `[WebhookQueue] Recovered stale webhook ${webhook.id} (attempt ${webhook.attempts}/${this.maxRetries})${exhausted ? " -> failed" : ""}`
+        );
+      }
+    }
+
+    const orphanClaims = Object.keys(claims || {}).filter(
+      (id) => !inFlight.has(id)
+    );
+    if (orphanClaims.length) {
+      await redis.hdel(this.claimsKey, ...orphanClaims);
+    }
+
+    if (this.orderingEnabled) {
+      const released = await releaseOrphanedChats(this.queueKey);
+      if (released > 0) {
+        console.warn(
+          `[WebhookQueue] Released ${released} webhooks held behind expired chat owners`
+        );
+      }
+    }
+
+    return recovered;
+  }
+
   async processBatch() {
+    await this.flushBatches();
+
     const redis = await redisPool.getClient();
+    const items = [];
     const webhooks = [];
 
     for (let i = 0; i < this.batchSize; i++) {
       const item = await redis.rpoplpush(this.queueKey, this.processingKey);
       if (!item) break;
+      items.push(item);
       webhooks.push(JSON.parse(item));
     }
 
+    if (webhooks.length > 0) {
+      const claimedAt = Date.now();
+      await redis.hset(
+        this.claimsKey,
+        ...webhooks.flatMap((webhook) => [webhook.id, claimedAt])
+      );
+    }
+
     if (webhooks.length === 0) {
       await new Promise((r) => setTimeout(r, 1000));
       return;
     }
 
-    const results = await Promise.allSettled(
-      webhooks.map((webhook) => this.sendWebhook(webhook))
+    const deliveries = await Promise.all(
+      webhooks.map(async (webhook, i) => {
+        try {
+          const destination = await this.resolveDestination(webhook);
+          if (destination?.url && this.getBatchOptions(destination)) {
+            return { i, destination, batched: true };
+          }
+          if (destination?.url && !circuitBreaker.canRequest(destination.url)) {
+            return { i, destination, deferred: true };
+          }
+          // canRequest() reserved the half-open trial for this webhook
+          const trial = Boolean(destination?.url) && circuitBreaker.isHalfOpen(destination.url);
+          return { i, destination, trial };
+        } catch (err) {
+          return { i, error: err };
+        }
+      })
+    );
+
+    for (const { i, destination } of deliveries.filter((d) => d.batched)) {
+      this.bufferForBatch(destination, webhooks[i], items[i]);
+    }
+
+    const sendable = deliveries.filter((d) => !d.deferred && !d.batched);
+
+    // Webhooks of the same chat are delivered one after the other when
+    // ordering is enabled; everything else goes out in parallel
+    const groups = new Map();
+    for (const delivery of sendable) {
+      const orderKey = this.orderingEnabled && webhooks[delivery.i].orderKey;
+      const groupKey = orderKey || `_${delivery.i}`;
+      if (!groups.has(groupKey)) groups.set(groupKey, []);
+      groups.get(groupKey).push(delivery);
+    }
+
+    await Promise.all(
+      Array.from(groups.values()).map((group) =>
+        this.deliverGroup(group, items, webhooks).catch((err) =>
+          console.error("[WebhookQueue] Group delivery error:", err?.message || err)
+        )
+      )
     );
 
-    for (let i = 0; i < results.length; i++) {
-      const result = results[i];
-      const webhook = webhooks[i];
+    // Deferred after delivery so an ordered chat is owned by its oldest
+    // webhook before newer ones are parked
+    const deferred = deliveries.filter((d) => d.deferred);
+    for (const { i, destination } of deferred) {
+      await this.deferForCircuit(items[i], webhooks[i], destination.url);
+    }
+
+    if (deferred.length > 0) {
+      // Some destinations have an open circuit: do not spin on the rest
+      await new Promise((r) => setTimeout(r, 1000));
+    }
+  }
+
+  // ============================================
+  // BATCHED DELIVERY
+  // ============================================
+  //
+  // Destinations with batchMaxEvents > 1 receive
+  //   { batchId, count, events: [{ id, sessionId, event, payload, ts }] }
+  // Buffered webhooks stay in the processing list until their batch is sent.
+  //
+  // Response contract: a non-2xx response fails every event of the batch. A
+  // 2xx response accepts every event except those listed in
+  //   { failed: ["<id>", { id: "<id>", error: "..." }] }
+  // which are retried individually. Batches are built in queue order; per-chat
+  // ownership (ordered mode) only applies to single-event delivery.
+
+  /**
+   * Batching options of a destination, or null for one event per request
+   */
+  getBatchOptions(destination) {
+    const maxEvents = destination?.batchMaxEvents || 0;
+    if (maxEvents <= 1) return null;
+
+    return {
+      maxEvents,
+      // Flush well before the reaper reclaims the buffered webhooks
+      maxWaitMs: Math.min(
+        destination.batchMaxWaitMs || 1000,
+        this.visibilityTimeout / 2
+      ),
+    };
+  }
+
+  bufferForBatch(destination, webhook, raw) {
+    const key = destination.id || destination.url;
+    let buffer = this.batchBuffers.get(key);
+
+    if (!buffer) {
+      buffer = { destination, entries: [], firstAt: Date.now() };
+      this.batchBuffers.set(key, buffer);
+    }
+
+    buffer.destination = destination;
+    buffer.entries.push({ webhook, raw });
+  }
+
+  /**
+   * Send buffered batches that are full or waited long enough
+   * @param {boolean} force - Flush everything regardless of size and age
+   */
+  async flushBatches(force = false) {
+    for (const [key, buffer] of this.batchBuffers) {
+      const { destination, entries } = buffer;
+      const options = this.getBatchOptions(destination) || {
+        maxEvents: 1,
+        maxWaitMs: 0,
+      };
+
+      const due =
+        force ||
+        entries.length >= options.maxEvents ||
+        Date.now() - buffer.firstAt >= options.maxWaitMs;
+      if (!due) continue;
+
+      this.batchBuffers.delete(key);
+
+      for (let n = 0; n < entries.length; n += options.maxEvents) {
+        // Checked per batch: a failing batch may open the circuit, and a
+        // half-open circuit only lets one trial batch through
+        if (!circuitBreaker.canRequest(destination.url)) {
+          for (const { webhook, raw } of entries.slice(n)) {
+            await this.deferForCircuit(raw, webhook, destination.url);
+          }
+          break;
+        }
+
+        await this.deliverBatch(
+          destination,
+          entries.slice(n, n + options.maxEvents)
+        ).catch((err) => {
+          circuitBreaker.release(destination.url);
+          console.error("[WebhookQueue] Batch delivery error:", err?.message || err);
+        });
+      }
+    }
+  }
+
+  /**
+   * Ids rejected by the receiver in a 2xx batch response
+   * @returns {Map<string, string>} - id -> reason
+   */
+  parseBatchFailures(responseBody) {
+    const failures = new Map();
+    let parsed;
+
+    try {
+      parsed = responseBody ? JSON.parse(responseBody) : null;
+    } catch {
+      return failures;
+    }
+
+    if (!Array.isArray(parsed?.failed)) return failures;
+
+    for (const entry of parsed.failed) {
+      if (typeof entry === "string") {
+        failures.set(entry, "rejected by receiver");
+      } else if (entry?.id) {
+        failures.set(String(entry.id), entry.error || "rejected by receiver");
+      }
+    }
+
+    return failures;
+  }
+
+  async deliverBatch(destination, batchEntries) {
+    const batchId = `batch_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const entries = [];
+    const events = [];
+
+    for (const entry of batchEntries) {
+      try {
+        events.push({ id: entry.webhook.id, ...(await this.buildEnvelope(entry.webhook)) });
+        entries.push(entry);
+      } catch (err) {
+        await this.handleFailedWebhook(entry.webhook, err, entry.raw);
+      }
+    }
+    if (entries.length === 0) {
+      // Nothing was sent: give back the trial reserved by flushBatches()
+      circuitBreaker.release(destination.url);
+      return;
+    }
+
+    const body = JSON.stringify({ batchId, count: events.length, events });
+
+    let response = null;
+    let error = null;
+
+    try {
+      response = await this.post(destination, body, batchId);
+      if (!response.ok) {
+        error = Object.assign(
+          new Error(`HTTP ${response.status}: ${response.statusText}`),
+          { status: response.status }
+        );
+      }
+    } catch (err) {
+      error = err;
+    }
+
+    if (error && isCircuitFailure(error)) {
+      circuitBreaker.onFailure(destination.url, error);
+    } else if (!error || error.status) {
+      circuitBreaker.onSuccess(destination.url);
+    } else {
+      circuitBreaker.release(destination.url);
+    }
+
+    const failures = error ? new Map() : this.parseBatchFailures(response.body);
+
+    for (const { webhook, raw } of entries) {
+      const itemError =
+        error ||
+        (failures.has(webhook.id)
+          ? new Error(`Rejected in batch: ${failures.get(webhook.id)}`)
+          : null);
 
-      if (result.status === "fulfilled" && result.value.ok) {
-        await redis.lrem(this.processingKey, 1, JSON.stringify(webhook));
-        console.log(`[WebhookQueue] Sent webhook ${webhook.id} successfully`);
+      await recordDelivery({
+        webhookId: webhook.id,
+        sessionId: webhook.sessionId,
+        event: webhook.event,
+        subscriptionId: webhook.subscriptionId || null,
+        url: destination.url,
+        attempt: (webhook.attempts || 0) + 1,
+        batchId,
+        ok: !itemError,
+        status: response?.status ?? null,
+        latencyMs: response?.latencyMs ?? error?.latencyMs ?? null,
+        responseBody: response?.body ?? null,
+        error: itemError?.message || null,
+      });
+
+      if (itemError) {
+        await this.handleFailedWebhook(webhook, itemError, raw);
       } else {
-        await this.handleFailedWebhook(webhook, result.reason || result.value);
+        await this.ack(raw, webhook);
+      }
+    }
+
+    console.log(
+      `[WebhookQueue] Sent batch ${batchId} (${entries.length} events, ${error ? entries.length : failures.size} failed)`
+    );
+  }
+
+  /**
+   * Deliver a group of webhooks. An ordered group (same chat) owns its chat
+   * while it is delivered; a failing head keeps the ownership until its
+   * retry succeeds, and the rest of the group is held behind it.
+   */
+  async deliverGroup(group, items, webhooks) {
+    const orderKey = this.orderingEnabled ? webhooks[group[0].i].orderKey : null;
+
+    if (!orderKey) {
+      for (const delivery of group) {
+        await this.deliver(webhooks[delivery.i], items[delivery.i], delivery);
+      }
+      return;
+    }
+
+    const ownerTtl = this.visibilityTimeout * 2;
+    const owner = await acquireChat(orderKey, webhooks[group[0].i].id, ownerTtl);
+    const ownerIndex = group.findIndex((d) => webhooks[d.i].id === owner);
+
+    if (ownerIndex === -1) {
+      for (const delivery of group) {
+        await this.hold(orderKey, webhooks[delivery.i], items[delivery.i], delivery);
+      }
+      return;
+    }
+
+    // A retried head may be popped after newer webhooks of its chat
+    if (ownerIndex > 0) group.unshift(...group.splice(ownerIndex, 1));
+
+    for (let n = 0; n < group.length; n++) {
+      const delivery = group[n];
+      const webhook = webhooks[delivery.i];
+
+      if (n > 0) await setChatOwner(orderKey, webhook.id, ownerTtl);
+
+      const outcome = await this.deliver(webhook, items[delivery.i], delivery);
+
+      if (outcome === "retrying") {
+        await setChatOwner(
+          orderKey,
+          webhook.id,
+          webhook.nextAttemptAt - Date.now() + ownerTtl
+        );
+        for (const held of group.slice(n + 1)) {
+          await this.hold(orderKey, webhooks[held.i], items[held.i], held);
+        }
+        return;
+      }
+    }
+
+    await releaseChat(
+      orderKey,
+      webhooks[group[group.length - 1].i].id,
+      this.queueKey
+    );
+  }
+
+  /**
+   * Send one webhook and settle it (ack, retry or dead-letter)
+   * @returns {Promise<string>} - "delivered" | "dropped" | "retrying" | "failed"
+   */
+  async deliver(webhook, raw, { destination, error }) {
+    try {
+      if (error) throw error;
+
+      const result = await this.sendWebhook(webhook, destination);
+
+      if (result.skipped) {
+        await this.ack(raw, webhook);
+        console.warn(
+          `[WebhookQueue] Dropped webhook ${webhook.id}: ${result.skipped}`
+        );
+        return "dropped";
       }
+
+      if (destination?.url) circuitBreaker.onSuccess(destination.url);
+      await this.ack(raw, webhook);
+      console.log(`[WebhookQueue] Sent webhook ${webhook.id} successfully`);
+      return "delivered";
+    } catch (err) {
+      if (destination?.url) {
+        if (isCircuitFailure(err)) {
+          circuitBreaker.onFailure(destination.url, err);
+        } else if (err?.status) {
+          // The receiver answered: it is up
+          circuitBreaker.onSuccess(destination.url);
+        } else {
+          // Local error: the request never reached the destination
+          circuitBreaker.release(destination.url);
+        }
+      }
+      return this.handleFailedWebhook(webhook, err, raw);
+    }
+  }
+
+  /**
+   * Park a webhook behind the current owner of its chat, giving back the
+   * circuit trial it reserved since it is not sent now
+   */
+  async hold(orderKey, webhook, raw, delivery = {}) {
+    if (delivery.trial) circuitBreaker.release(delivery.destination.url);
+
+    const held = await holdWebhook(orderKey, webhook.id, raw, this.processingKey);
+
+    if (held) {
+      const redis = await redisPool.getClient();
+      await redis.hdel(this.claimsKey, webhook.id);
+    } else {
+      // The chat was released in the meantime
+      await this.defer(raw, webhook);
     }
   }
 
-  async handleFailedWebhook(webhook, error) {
+  /**
+   * Park a webhook whose destination circuit refused it in the delayed set
+   * until the circuit may let requests through again, without consuming a
+   * retry attempt. The scheduler brings it back to the queue when due.
+   */
+  async deferForCircuit(raw, webhook, url) {
+    const dueAt = circuitBreaker.getRetryAt(url);
+
+    if (this.orderingEnabled && webhook.orderKey) {
+      return this.deferOrdered(raw, webhook, dueAt);
+    }
+
+    const redis = await redisPool.getClient();
+    await redis.eval(
+      DELAY_ENTRY_SCRIPT,
+      2,
+      this.processingKey,
+      this.delayedKey,
+      raw,
+      dueAt
+    );
+    await redis.hdel(this.claimsKey, webhook.id);
+  }
+
+  /**
+   * Ordered counterpart of deferForCircuit(): the webhook keeps (or waits
+   * for) its chat while it sits in the delayed set
+   */
+  async deferOrdered(raw, webhook, dueAt) {
+    const { orderKey } = webhook;
+    const ownerTtl = Math.max(0, dueAt - Date.now()) + this.visibilityTimeout * 2;
+
+    const owner = await acquireChat(orderKey, webhook.id, ownerTtl);
+    if (owner !== webhook.id) {
+      return this.hold(orderKey, webhook, raw);
+    }
+
+    await setChatOwner(orderKey, webhook.id, ownerTtl);
+
+    const redis = await redisPool.getClient();
+    await redis
+      .multi()
+      .lrem(this.processingKey, 1, raw)
+      .hdel(this.claimsKey, webhook.id)
+      .zadd(this.delayedKey, dueAt, raw)
+      .exec();
+  }
+
+  /**
+   * Put a webhook back in the queue without consuming a retry attempt
+   */
+  async defer(raw, webhook) {
+    const redis = await redisPool.getClient();
+    await redis.eval(
+      MOVE_ENTRY_SCRIPT,
+      2,
+      this.processingKey,
+      this.queueKey,
+      raw,
+      raw
+    );
+    await redis.hdel(this.claimsKey, webhook.id);
+  }
+
+  /**
+   * Remove a delivered webhook from the processing list
+   */
+  async ack(raw, webhook) {
+    const redis = await redisPool.getClient();
+    await redis
+      .multi()
+      .lrem(this.processingKey, 1, raw)
+      .hdel(this.claimsKey, webhook.id)
+      .exec();
+    await deleteOffloadedPayload(webhook);
+  }
+
+  /**
+   * @param {Object} webhook - Parsed webhook
+   * @param {*} error - Failure reason
+   * @param {string} raw - Exact string held in the processing list
+   */
+  async handleFailedWebhook(webhook, error, raw = JSON.stringify(webhook)) {
     const redis = await redisPool.getClient();
 
     webhook.attempts++;
@@ -102,82 +894,230 @@ class WebhookQueue {
       ts: Date.now(),
     });
 
-    await redis.lrem(this.processingKey, 1, JSON.stringify(webhook));
-
     if (webhook.attempts < this.maxRetries) {
       const delay = this.retryDelay * Math.pow(2, webhook.attempts - 1);
+      webhook.nextAttemptAt = Date.now() + delay;
       console.log(
         `[WebhookQueue] Webhook ${webhook.id} failed (attempt ${webhook.attempts}/${this.maxRetries}), retrying in ${delay}ms`
       );
 
-      setTimeout(async () => {
-        await redis.lpush(this.queueKey, JSON.stringify(webhook));
-      }, delay);
+      await redis
+        .multi()
+        .lrem(this.processingKey, 1, raw)
+        .hdel(this.claimsKey, webhook.id)
+        .zadd(this.delayedKey, webhook.nextAttemptAt, JSON.stringify(webhook))
+        .exec();
+
+      return "retrying";
     } else {
-      await redis.lpush(this.failedKey, JSON.stringify(webhook));
+      webhook.failedAt = Date.now();
+      await redis
+        .multi()
+        .lrem(this.processingKey, 1, raw)
+        .hdel(this.claimsKey, webhook.id)
+        .lpush(this.failedKey, JSON.stringify(webhook))
+        .exec();
       console.error(
         `[WebhookQueue] Webhook ${webhook.id} failed after ${this.maxRetries} attempts`
       );
+
+      return "failed";
     }
   }
 
-  async sendWebhook(webhook) {
-    const { sessionId, event, payload, ts } = webhook;
-    const body = JSON.stringify({ sessionId, event, payload, ts });
+  /**
+   * Destination of a queued webhook: its subscription, or the session/global
+   * webhook. Returns null when the subscription was removed or disabled.
+   */
+  async resolveDestination(webhook) {
+    if (webhook.subscriptionId) {
+      const subscription = await getSubscription(webhook.subscriptionId);
+      return subscription?.enabled ? subscription : null;
+    }
 
-    const headers = { "Content-Type": "application/json" };
+    return resolveSessionDestination(webhook.sessionId);
+  }
 
-    if (
-      WEBHOOK_AUTH_TYPE === "basic" &&
-      WEBHOOK_AUTH_USER &&
-      WEBHOOK_AUTH_PASSWORD
-    ) {
-      const credentials = Buffer.from(
-        `${WEBHOOK_AUTH_USER}:${WEBHOOK_AUTH_PASSWORD}`
-      ).toString("base64");
-      headers["Authorization"] = `Basic ${credentials}`;
-    } else if (WEBHOOK_AUTH_TYPE === "token" && WEBHOOK_AUTH_TOKEN) {
-      headers["Authorization"] = `Token ${WEBHOOK_AUTH_TOKEN}`;
-    } else if (WEBHOOK_AUTH_TYPE === "bearer" && WEBHOOK_AUTH_TOKEN) {
-      headers["Authorization"] = `Bearer ${WEBHOOK_AUTH_TOKEN}`;
+  /**
+   * Request envelope of a queued webhook (without delivery metadata)
+   */
+  async buildEnvelope(webhook) {
+    const { sessionId, event, ts, replayed, chunk } = webhook;
+    return {
+      schemaVersion: EVENT_SCHEMA_VERSION,
+      sessionId,
+      event,
+      payload: await loadPayload(webhook),
+      ts,
+      replayed,
+      ...chunk,
+    };
+  }
+
+  /**
+   * Headers of a delivery: content type, auth and signature
+   * @param {Object} [options] - { dryRun } masks the Authorization header
+   *   instead of building it, so no OAuth2 token is requested
+   */
+  async buildRequestHeaders(destination, body, id, { dryRun = false } = {}) {
+    let authHeaders = {};
+    if (!dryRun) {
+      authHeaders = await buildAuthHeaders(destination);
+    } else if ((destination.authType || "none") !== "none") {
+      authHeaders = { Authorization: "***" };
     }
 
+    return {
+      "Content-Type": "application/json",
+      ...authHeaders,
+      ...buildSignatureHeaders({
+        id,
+        body,
+        secrets: [destination.signingSecret, destination.signingSecretPrevious],
+      }),
+    };
+  }
+
+  /**
+   * POST a body to a destination with its auth and signature headers
+   * @returns {Promise<Object>} - { ok, status, statusText, headers, body, latencyMs }
+   */
+  async post(destination, body, id) {
+    const headers = await this.buildRequestHeaders(destination, body, id);
+    const encoded = await encodeBody(body);
+    Object.assign(headers, encoded.headers);
+    const tlsOptions = buildTlsOptions(destination);
+
     const controller = new AbortController();
     const timeout = setTimeout(() => controller.abort(), 10000);
+    const startedAt = Date.now();
 
     try {
-      const response = await fetch(WEBHOOK_URL, {
+      const response = await fetch(destination.url, {
         method: "POST",
-        body,
+        body: encoded.body,
         headers,
         signal: controller.signal,
+        ...tlsOptions,
       });
+      const responseBody = await response.text().catch(() => null);
 
-      clearTimeout(timeout);
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      // Expired or revoked token: fetch a new one on the next attempt
+      if (response.status === 401 && destination.authType === "oauth2") {
+        invalidateOAuthToken(destination);
       }
 
-      return { ok: true, status: response.status };
+      return {
+        ok: response.ok,
+        status: response.status,
+        statusText: response.statusText,
+        headers: Object.fromEntries(response.headers.entries()),
+        body: responseBody,
+        latencyMs: Date.now() - startedAt,
+      };
     } catch (err) {
+      // Network error or timeout: counts against the destination (see isCircuitFailure)
+      const error = new Error(err?.message || String(err));
+      error.latencyMs = Date.now() - startedAt;
+      error.transport = true;
+      throw error;
+    } finally {
       clearTimeout(timeout);
-      throw new Error(err?.message || String(err));
     }
   }
 
+  /**
+   * @param {Object} webhook - Queued webhook
+   * @param {Object} [destination] - Resolved destination (resolved here when omitted)
+   */
+  async sendWebhook(webhook, destination) {
+    const { sessionId, event } = webhook;
+    const envelope = await this.buildEnvelope(webhook);
+    const body = JSON.stringify(envelope);
+
+    if (destination === undefined) {
+      destination = await this.resolveDestination(webhook);
+    }
+    if (!destination) {
+      return { ok: true, skipped: "subscription-unavailable" };
+    }
+    if (!destination.url) {
+      throw new Error("No webhook URL configured");
+    }
+
+    const record = {
+      webhookId: webhook.id,
+      sessionId,
+      event,
+      subscriptionId: webhook.subscriptionId || null,
+      url: destination.url,
+      attempt: (webhook.attempts || 0) + 1,
+    };
+
+    let response;
+    try {
+      response = await this.post(destination, body, webhook.id);
+    } catch (err) {
+      await recordDelivery({
+        ...record,
+        ok: false,
+        status: null,
+        latencyMs: err.latencyMs,
+        responseBody: null,
+        error: err.message,
+      });
+      throw err;
+    }
+
+    const error = response.ok
+      ? null
+      : Object.assign(
+        new Error(`HTTP ${response.status}: ${response.statusText}`),
+        { status: response.status }
+      );
+
+    await recordDelivery({
+      ...record,
+      ok: response.ok,
+      status: response.status,
+      latencyMs: response.latencyMs,
+      responseBody: response.body,
+      error: error?.message || null,
+    });
+
+    if (error) throw error;
+
+    if (destination.replyActions && event === "messages.upsert" && !webhook.replayed) {
+      await executeReplyActions(webhook, envelope.payload, response.body);
+    }
+
+    return { ok: true, status: response.status };
+  }
+
   async getStats() {
     const redis = await redisPool.getClient();
-    const [pending, processing, failed] = await Promise.all([
+    const [pending, processing, failed, delayed] = await Promise.all([
       redis.llen(this.queueKey),
       redis.llen(this.processingKey),
       redis.llen(this.failedKey),
+      redis.zcard(this.delayedKey),
     ]);
 
     return {
       pending,
       processing,
       failed,
+      delayed,
+      circuits: circuitBreaker.getStates(),
+      ordering: this.orderingEnabled ? await getOrderingStats() : null,
+      backpressure: await getBackpressureStats(),
+      batching: {
+        destinations: this.batchBuffers.size,
+        buffered: Array.from(this.batchBuffers.values()).reduce(
+          (total, buffer) => total + buffer.entries.length,
+          0
+        ),
+      },
       isProcessing: this.isProcessing,
     };
   }
@@ -202,16 +1142,191 @@ class WebhookQueue {
     return retried;
   }
 
+  // ============================================
+  // DEAD-LETTER QUEUE
+  // ============================================
+
+  /**
+   * Read the dead-letter list as { raw, webhook } entries, newest first
+   */
+  async readFailed() {
+    const redis = await redisPool.getClient();
+    const items = await redis.lrange(this.failedKey, 0, -1);
+
+    return items
+      .map((raw) => {
+        try {
+          return { raw, webhook: JSON.parse(raw) };
+        } catch {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * @param {Object} webhook - Dead-lettered webhook
+   * @param {Object} filter - { sessionId, event, from, to } (timestamps in ms)
+   */
+  matchesFailedFilter(webhook, filter = {}) {
+    const failedAt = webhook.failedAt || webhook.lastAttempt || webhook.ts;
+
+    if (filter.sessionId && webhook.sessionId !== filter.sessionId) return false;
+    if (filter.event && webhook.event !== filter.event) return false;
+    if (filter.from && failedAt < filter.from) return false;
+    if (filter.to && failedAt > filter.to) return false;
+
+    return true;
+  }
+
+  async listFailed(filter = {}, { offset = 0, limit = 50 } = {}) {
+    const entries = (await this.readFailed()).filter(({ webhook }) =>
+      this.matchesFailedFilter(webhook, filter)
+    );
+
+    return {
+      total: entries.length,
+      offset,
+      limit,
+      webhooks: entries
+        .slice(offset, offset + limit)
+        .map(({ webhook }) => webhook),
+    };
+  }
+
+  async getFailed(id) {
+    const entry = (await this.readFailed()).find(
+      ({ webhook }) => webhook.id === id
+    );
+    return entry?.webhook || null;
+  }
+
+  /**
+   * Select dead-lettered entries by ids or by filter
+   */
+  async selectFailed({ ids, filter }) {
+    const entries = await this.readFailed();
+
+    if (Array.isArray(ids)) {
+      const wanted = new Set(ids);
+      return entries.filter(({ webhook }) => wanted.has(webhook.id));
+    }
+
+    return entries.filter(({ webhook }) =>
+      this.matchesFailedFilter(webhook, filter)
+    );
+  }
+
+  /**
+   * Move selected dead-lettered webhooks back to the queue with a fresh
+   * attempt budget. An explicit operator action, so it is not subject to
+   * WEBHOOK_QUEUE_MAX_LENGTH.
+   */
+  async retryFailedWebhooks(selector) {
+    const redis = await redisPool.getClient();
+    const retried = [];
+
+    for (const { raw, webhook } of await this.selectFailed(selector)) {
+      webhook.attempts = 0;
+      webhook.errors = [];
+      delete webhook.failedAt;
+      delete webhook.nextAttemptAt;
+
+      const moved = await redis.eval(
+        MOVE_ENTRY_SCRIPT,
+        2,
+        this.failedKey,
+        this.queueKey,
+        raw,
+        JSON.stringify(webhook)
+      );
+      if (moved) retried.push(webhook.id);
+    }
+
+    return retried;
+  }
+
+  async deleteFailedWebhooks(selector) {
+    const redis = await redisPool.getClient();
+    const deleted = [];
+
+    for (const { raw, webhook } of await this.selectFailed(selector)) {
+      const removed = await redis.lrem(this.failedKey, 1, raw);
+      if (removed) {
+        await deleteOffloadedPayload(webhook);
+        deleted.push(webhook.id);
+      }
+    }
+
+    return deleted;
+  }
+
+  async purgeFailed(olderThanDays) {
+    const cutoff = Date.now() - olderThanDays * 24 * 60 * 60 * 1000;
+    const deleted = await this.deleteFailedWebhooks({
+      filter: { to: cutoff },
+    });
+    return deleted.length;
+  }
+
   stopProcessing() {
     this.isProcessing = false;
+    this.stopScheduler();
+    this.stopReaper();
     console.log("[WebhookQueue] Stopping webhook processor...");
   }
 }
 
 export const webhookQueue = new WebhookQueue();
 
-export async function sendWebhook(sessionId, event, payload) {
-  return webhookQueue.enqueue(sessionId, event, payload);
+/**
+ * Record, publish and queue an event for its destinations
+ * @param {Object} [options] - { filtered } the payload left by the webhook
+ *   filters (null when nothing is left; defaults to the payload itself);
+ *   the rest is passed to enqueueEvent(), e.g. { excludeUrl }
+ */
+export async function sendWebhook(sessionId, event, rawPayload, options = {}) {
+  const { filtered = rawPayload, ...enqueueOptions } = options;
+
+  checkEmittedPayload(event, rawPayload);
+
+  // Logged as emitted, with what the filters kept of it
+  const filter =
+    filtered === null ? "filtered" : filtered === rawPayload ? "passed" : "partial";
+  await appendEvent(sessionId, event, rawPayload, { filter, filteredPayload: filtered });
+  if (filtered === null) return { ok: false, reason: "filtered" };
+
+  const { payload, marks } = await dropDuplicates(sessionId, event, filtered);
+  if (payload === null) return { ok: false, reason: "duplicate" };
+
+  await publishEvent(sessionId, event, payload);
+
+  // Items only count as sent once at least part of them was queued
+  let result = null;
+  try {
+    result = await webhookQueue.enqueueEvent(sessionId, event, payload, enqueueOptions);
+    return result;
+  } finally {
+    if (!result?.ok) await unmarkDuplicates(marks);
+  }
 }
 
+// The tripped destination is not notified about its own circuit: it would
+// only pile up behind it. The change is still logged, in getStats() and in
+// the event log.
+circuitBreaker.onStateChange((change) => {
+  sendWebhook(
+    null,
+    "webhook.circuit",
+    { ...change, ts: Date.now() },
+    { excludeUrl: change.url }
+  ).catch(
+    (err) =>
+      console.error(
+        "[WebhookQueue] Failed to enqueue webhook.circuit:",
+        err?.message || err
+      )
+  );
+});
+
 webhookQueue.startProcessing();
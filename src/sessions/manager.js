@@ -3,9 +3,16 @@ import { Browsers } from "@whiskeysockets/baileys";
 import { useRedisAuthState } from "./redis-auth-store.js";
 import { makeSocketForSession } from "./socket-factory.js";
 import { AUTO_READ_MESSAGES } from "../config.js";
+import { deleteSessionWebhookConfig } from "../services/webhook-destinations.js";
+import { deleteSessionFilterOverrides } from "../services/webhook-filter.js";
+import { deleteBlocklist } from "../services/blocklist.js";
+import { resetDuplicateStats } from "../services/webhook-dedup.js";
+import { deleteActionLog, setSessionLookup } from "../services/webhook-actions.js";
 
 export const sessions = new Map();
 
+setSessionLookup((sessionId) => sessions.get(sessionId));
+
 export async function ensureSession(sessionId, options = {}) {
   if (sessions.has(sessionId)) return sessions.get(sessionId);
 
@@ -133,6 +140,12 @@ export async function logoutSession(sessionId) {
         if (keys.length) await s.redis.del(keys);
       } while (cursor !== "0");
     }
+
+    await deleteSessionWebhookConfig(sessionId);
+    await deleteSessionFilterOverrides(sessionId);
+    await deleteBlocklist(sessionId);
+    await resetDuplicateStats(sessionId);
+    await deleteActionLog(sessionId);
   } catch (e) {
     console.warn(
       `[logoutSession] redis cleanup failed for ${sessionId}:`,
@@ -13,6 +13,32 @@ import {
   authLimiter,
   generalLimiter,
 } from "../middleware/validation.js";
+import {
+  getSessionWebhookConfig,
+  setSessionWebhookConfig,
+  deleteSessionWebhookConfig,
+  validateDestinationConfig,
+  redactDestination,
+  getDefaultDestination,
+} from "../services/webhook-destinations.js";
+import {
+  openEventStream,
+  parseStreamFilter,
+} from "../services/event-stream.js";
+import {
+  getEffectiveFilters,
+  getSessionFilterOverrides,
+  validateSessionFilterOverrides,
+  setSessionFilterOverrides,
+  deleteSessionFilterOverrides,
+} from "../services/webhook-filter.js";
+import { getDuplicateStats } from "../services/webhook-dedup.js";
+import { getActionLog } from "../services/webhook-actions.js";
+import {
+  readEvents,
+  isValidCursor,
+  isEventLogEnabled,
+} from "../services/event-log.js";
 
 export const router = Router();
 
@@ -334,6 +360,9 @@ router.get(
           state: statusCheck.wsState,
           stateText: getWebSocketStateText(statusCheck.wsState),
         },
+        webhooks: {
+          duplicatesSkipped: await getDuplicateStats(session.id),
+        },
       };
 
       res.json(metrics);
@@ -343,6 +372,250 @@ router.get(
   }
 );
 
+/**
+ * Get the webhook destination used by a session
+ * @route GET /sessions/:id/webhook
+ */
+router.get(
+  "/:id/webhook",
+  generalLimiter.getMiddleware(),
+  async (req, res, next) => {
+    try {
+      const config = await getSessionWebhookConfig(req.params.id);
+
+      res.json({
+        ok: true,
+        id: req.params.id,
+        source: config ? "session" : "global",
+        webhook: redactDestination(config || getDefaultDestination()),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Set a session-specific webhook URL and credentials (persisted in Redis)
+ * @route PUT /sessions/:id/webhook
+ */
+router.put(
+  "/:id/webhook",
+  generalLimiter.getMiddleware(),
+  async (req, res, next) => {
+    try {
+      const validation = validateDestinationConfig(req.body);
+
+      if (!validation.valid) {
+        return res.status(400).json({
+          ok: false,
+          error: "Invalid webhook config",
+          details: validation.errors,
+        });
+      }
+
+      const config = await setSessionWebhookConfig(req.params.id, req.body);
+
+      res.json({
+        ok: true,
+        id: req.params.id,
+        source: "session",
+        webhook: redactDestination(config),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Remove the session webhook override (falls back to the global config)
+ * @route DELETE /sessions/:id/webhook
+ */
+router.delete(
+  "/:id/webhook",
+  generalLimiter.getMiddleware(),
+  async (req, res, next) => {
+    try {
+      const removed = await deleteSessionWebhookConfig(req.params.id);
+
+      res.json({
+        ok: true,
+        id: req.params.id,
+        removed,
+        source: "global",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Get the session settings (webhook filter overrides and the resulting effective filters)
+ * @route GET /sessions/:id/settings
+ */
+router.get(
+  "/:id/settings",
+  generalLimiter.getMiddleware(),
+  (req, res) => {
+    res.json({
+      ok: true,
+      id: req.params.id,
+      settings: { filters: getSessionFilterOverrides(req.params.id) },
+      effectiveFilters: getEffectiveFilters(req.params.id),
+    });
+  }
+);
+
+/**
+ * Replace the session settings
+ * Body: { filters: { skipStatus, skipGroups, skipChannels, allowedEvents, deniedEvents, rules } }
+ * Omitted filters fall back to the global config.
+ * @route PUT /sessions/:id/settings
+ */
+router.put(
+  "/:id/settings",
+  generalLimiter.getMiddleware(),
+  async (req, res, next) => {
+    try {
+      const filters = req.body?.filters ?? {};
+      const validation = validateSessionFilterOverrides(filters);
+
+      if (!validation.valid) {
+        return res.status(400).json({
+          ok: false,
+          error: "Invalid session settings",
+          details: validation.errors,
+        });
+      }
+
+      const effectiveFilters = await setSessionFilterOverrides(req.params.id, filters);
+
+      res.json({
+        ok: true,
+        id: req.params.id,
+        settings: { filters },
+        effectiveFilters,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Remove the session settings (falls back to the global config)
+ * @route DELETE /sessions/:id/settings
+ */
+router.delete(
+  "/:id/settings",
+  generalLimiter.getMiddleware(),
+  async (req, res, next) => {
+    try {
+      await deleteSessionFilterOverrides(req.params.id);
+
+      res.json({
+        ok: true,
+        id: req.params.id,
+        effectiveFilters: getEffectiveFilters(req.params.id),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Pull the session event log, oldest first
+ * Query: after (cursor returned as nextCursor), limit (1-1000, default 100)
+ * @route GET /sessions/:id/events
+ */
+router.get(
+  "/:id/events",
+  generalLimiter.getMiddleware(),
+  async (req, res, next) => {
+    try {
+      const { after } = req.query;
+      const limit = parseInt(req.query.limit || "100", 10);
+
+      if (after !== undefined && !isValidCursor(after)) {
+        return res.status(400).json({
+          ok: false,
+          error: "'after' must be a cursor returned by this endpoint",
+        });
+      }
+
+      if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+        return res.status(400).json({
+          ok: false,
+          error: "'limit' must be between 1 and 1000",
+        });
+      }
+
+      if (!isEventLogEnabled()) {
+        return res.status(404).json({
+          ok: false,
+          error: "Event log is disabled (EVENT_LOG_MAX_LEN=0)",
+        });
+      }
+
+      const result = await readEvents(req.params.id, { after, limit });
+
+      res.json({ ok: true, id: req.params.id, ...result });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Stream the session events as Server-Sent Events
+ * Query: events, exclude (comma-separated event names); resumes from Last-Event-ID
+ * @route GET /sessions/:id/events/stream
+ */
+router.get("/:id/events/stream", async (req, res, next) => {
+  try {
+    const filter = parseStreamFilter(req.query);
+
+    if (filter.error) {
+      return res.status(400).json({ ok: false, error: filter.error });
+    }
+
+    await openEventStream(req, res, { ...filter, sessionId: req.params.id });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Audit of reply actions returned by webhook receivers, newest first
+ * Query: limit (1-500, default 100)
+ * @route GET /sessions/:id/webhook-actions
+ */
+router.get(
+  "/:id/webhook-actions",
+  generalLimiter.getMiddleware(),
+  async (req, res, next) => {
+    try {
+      const limit = parseInt(req.query.limit || "100", 10);
+
+      if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+        return res.status(400).json({
+          ok: false,
+          error: "'limit' must be between 1 and 500",
+        });
+      }
+
+      const actions = await getActionLog(req.params.id, limit);
+
+      res.json({ ok: true, id: req.params.id, count: actions.length, actions });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 /**
  * Helper function to get WebSocket state as text
  */
@@ -9,40 +9,28 @@ import { randomBytes } from "crypto";
 
 import { sendWebhook } from "../services/webhook.js";
 import {
-  shouldSendEventWebhook,
-  filterMessages
+  filterMessages,
+  filterKeyedEvent
 } from "../services/webhook-filter.js";
+import {
+  serializeBaileysData,
+  buildMessagesUpsertPayload,
+  buildMessagesUpdatePayload,
+  buildReceiptUpdatePayload,
+  buildQrPayload,
+  buildSessionConnectedPayload,
+  buildSessionDisconnectedPayload,
+} from "../services/event-payloads.js";
+import {
+  loadBlocklist,
+  setBlocklist,
+  updateBlocklist,
+} from "../services/blocklist.js";
 import { toJid } from "../utils/jid.js";
 import { restartSession } from "./manager.js";
-import { SHOW_QR_IN_TERMINAL } from "../config.js";
+import { SHOW_QR_IN_TERMINAL, WEBHOOK_PAYLOAD_FORMAT } from "../config.js";
 import { captureException, addBreadcrumb, setContext } from "../services/sentry.js";
 
-function serializeBaileysData(data) {
-  return JSON.parse(
-    JSON.stringify(data, (key, value) => {
-      if (value?.type === "Buffer" && Array.isArray(value?.data)) {
-        return {
-          type: "Buffer",
-          data: Buffer.from(value.data).toString("base64"),
-        };
-      }
-      if (value instanceof Buffer) {
-        return {
-          type: "Buffer",
-          data: value.toString("base64"),
-        };
-      }
-      if (value instanceof Uint8Array) {
-        return {
-          type: "Buffer",
-          data: Buffer.from(value).toString("base64"),
-        };
-      }
-      return value;
-    })
-  );
-}
-
 export async function makeSocketForSession(session) {
   const { state, saveCreds, caches, browser } = session;
 
@@ -57,6 +45,10 @@ export async function makeSocketForSession(session) {
     level: "info",
   });
 
+  await loadBlocklist(session.id).catch((err) =>
+    console.error(`[${session.id}] Failed to load blocklist:`, err?.message || err)
+  );
+
   const { version } = await fetchLatestBaileysVersion();
   console.log(`[${session.id}] Using WA version ${version.join(".")}`);
 
@@ -266,14 +258,11 @@ export async function makeSocketForSession(session) {
         );
       }
 
-      if (shouldSendEventWebhook("qr.updated")) {
-        await sendWebhook(session.id, "qr.updated", {
-          sessionId: session.id,
-          qr: qr,
-          generatedAt: session.qrGeneratedAt,
-          expiresAt: session.qrGeneratedAt + 60000,
-        });
-      }
+      await sendWebhook(
+        session.id,
+        "qr.updated",
+        buildQrPayload(session.id, qr, session.qrGeneratedAt)
+      );
     }
 
     if (connection === "open") {
@@ -284,18 +273,12 @@ export async function makeSocketForSession(session) {
 
       startKeepAlive();
 
-      const accountInfo = {
-        sessionId: session.id,
-        status: "open",
-        connectedAt: session.connectedAt,
-        isNewLogin: isNewLogin || false,
-        phone: state.creds?.me?.id || null,
-        name: state.creds?.me?.name || null,
-        platform: state.creds?.platform || null,
-        deviceManufacturer: state.creds?.deviceManufacturer || null,
-        deviceModel: state.creds?.deviceModel || null,
-        osVersion: state.creds?.osVersion || null,
-      };
+      const accountInfo = buildSessionConnectedPayload(
+        session.id,
+        session.connectedAt,
+        state.creds,
+        isNewLogin
+      );
 
       console.log(`[${session.id}] ✅ Connected:`, accountInfo);
 
@@ -306,28 +289,18 @@ export async function makeSocketForSession(session) {
         data: accountInfo,
       });
 
-      if (shouldSendEventWebhook("session.connected")) {
-        await sendWebhook(session.id, "session.connected", accountInfo);
-      }
+      await sendWebhook(session.id, "session.connected", accountInfo);
     }
 
     if (connection === "close") {
       stopKeepAlive();
 
-      const code = lastDisconnect?.error?.output?.statusCode;
-      const reason = lastDisconnect?.error?.output?.payload?.error || "unknown";
-
-      const disconnectInfo = {
-        sessionId: session.id,
-        status: "close",
-        disconnectedAt: Date.now(),
-        reason: reason,
-        statusCode: code,
-        isLoggedOut: code === DisconnectReason.loggedOut,
-        needsReconnect: code === DisconnectReason.restartRequired,
-        connectionLost: code === DisconnectReason.connectionLost,
-        timedOut: code === DisconnectReason.timedOut,
-      };
+      const disconnectInfo = buildSessionDisconnectedPayload(
+        session.id,
+        lastDisconnect,
+        DisconnectReason
+      );
+      const { statusCode: code, reason } = disconnectInfo;
 
       console.log(`[${session.id}] ❌ Disconnected:`, disconnectInfo);
 
@@ -346,9 +319,7 @@ export async function makeSocketForSession(session) {
         });
       }
 
-      if (shouldSendEventWebhook("session.disconnected")) {
-        await sendWebhook(session.id, "session.disconnected", disconnectInfo);
-      }
+      await sendWebhook(session.id, "session.disconnected", disconnectInfo);
 
       const shouldReconnect =
         code === DisconnectReason.restartRequired ||
@@ -399,13 +370,11 @@ export async function makeSocketForSession(session) {
       console.log(`[${session.id}] 🔄 Connecting...`);
     }
 
-    if (shouldSendEventWebhook("connection.update")) {
-      await sendWebhook(
-        session.id,
-        "connection.update",
-        serializeBaileysData(update)
-      );
-    }
+    await sendWebhook(
+      session.id,
+      "connection.update",
+      serializeBaileysData(update)
+    );
   });
 
   const updateActivity = () => {
@@ -429,164 +398,109 @@ export async function makeSocketForSession(session) {
       }
     }
 
-    if (shouldSendEventWebhook("messages.upsert")) {
-      const filteredMessages = filterMessages(messages);
+    const buildPayload = (list) =>
+      buildMessagesUpsertPayload(type, list, {
+        format: WEBHOOK_PAYLOAD_FORMAT,
+        selfJid: sock.user?.id || state.creds?.me?.id,
+      });
 
-      if (filteredMessages.length > 0) {
-        await sendWebhook(
-          session.id,
-          "messages.upsert",
-          serializeBaileysData({ type, messages: filteredMessages })
-        );
-      } else {
-        console.log(`[${session.id}] Messages filtered out, no webhook sent`);
-      }
+    // The event log keeps every message; the webhooks only the filtered ones
+    const payload = buildPayload(messages);
+    const filteredMessages = filterMessages(messages, session.id);
+    let filtered = payload;
+
+    if (filteredMessages.length === 0) {
+      console.log(`[${session.id}] Messages filtered out, no webhook sent`);
+      filtered = null;
+    } else if (filteredMessages.length !== messages.length) {
+      filtered = buildPayload(filteredMessages);
     }
+
+    await sendWebhook(session.id, "messages.upsert", payload, { filtered });
   });
 
   sock.ev.on("messages.update", async (updates) => {
     updateActivity();
 
-    if (!Array.isArray(updates)) updates = [updates];
-
-    const processedUpdates = updates.map(update => {
-      const { key, update: updateData } = update;
-
-      return {
-        key: {
-          remoteJid: key.remoteJid,
-          id: key.id,
-          participant: key.participant,
-          fromMe: key.fromMe
-        },
-        update: updateData,
-        timestamp: new Date().toISOString()
-      };
-    });
+    const processedUpdates = buildMessagesUpdatePayload(updates);
 
     console.log(`[${session.id}] Messages updated: ${processedUpdates.length}`);
 
-    if (shouldSendEventWebhook("messages.update")) {
-      await sendWebhook(
-        session.id,
-        "messages.update",
-        processedUpdates
-      );
-    }
+    await sendWebhook(session.id, "messages.update", processedUpdates, {
+      filtered: filterKeyedEvent("messages.update", processedUpdates, session.id),
+    });
   });
 
   sock.ev.on("messages.delete", async (deletion) => {
     updateActivity();
     console.log(`[${session.id}] Messages deleted`);
 
-    if (shouldSendEventWebhook("messages.delete")) {
-      await sendWebhook(
-        session.id,
-        "messages.delete",
-        serializeBaileysData(deletion)
-      );
-    }
+    const payload = serializeBaileysData(deletion);
+
+    await sendWebhook(session.id, "messages.delete", payload, {
+      filtered: filterKeyedEvent("messages.delete", payload, session.id),
+    });
   });
 
   sock.ev.on("messages.reaction", async (reactions) => {
     updateActivity();
 
-    if (shouldSendEventWebhook("messages.reaction")) {
-      await sendWebhook(
-        session.id,
-        "messages.reaction",
-        serializeBaileysData(reactions)
-      );
-    }
+    const payload = serializeBaileysData(reactions);
+
+    await sendWebhook(session.id, "messages.reaction", payload, {
+      filtered: filterKeyedEvent("messages.reaction", payload, session.id),
+    });
   });
 
   sock.ev.on("message-receipt.update", async (updates) => {
     updateActivity();
 
-    if (!Array.isArray(updates)) updates = [updates];
-
-    const processedUpdates = updates.map(update => {
-      const { key, receipt } = update;
-
-      return {
-        key: {
-          remoteJid: key.remoteJid,
-          id: key.id,
-          participant: key.participant,
-          fromMe: key.fromMe
-        },
-        receipt: {
-          readTimestamp: receipt?.readTimestamp
-            ? new Date(receipt.readTimestamp * 1000).toISOString()
-            : null,
-          deliveredTimestamp: receipt?.deliveredTimestamp
-            ? new Date(receipt.deliveredTimestamp * 1000).toISOString()
-            : null,
-          playedTimestamp: receipt?.playedTimestamp
-            ? new Date(receipt.playedTimestamp * 1000).toISOString()
-            : null,
-          userJid: receipt?.userJid,
-        },
-        timestamp: new Date().toISOString()
-      };
-    });
+    const processedUpdates = buildReceiptUpdatePayload(updates);
 
-    if (shouldSendEventWebhook("message-receipt.update")) {
-      await sendWebhook(
-        session.id,
-        "message-receipt.update",
-        processedUpdates
-      );
-    }
+    await sendWebhook(session.id, "message-receipt.update", processedUpdates, {
+      filtered: filterKeyedEvent("message-receipt.update", processedUpdates, session.id),
+    });
   });
 
   sock.ev.on("chats.upsert", async (chats) => {
     updateActivity();
 
-    if (shouldSendEventWebhook("chats.upsert")) {
-      await sendWebhook(
-        session.id,
-        "chats.upsert",
-        serializeBaileysData(chats)
-      );
-    }
+    await sendWebhook(
+      session.id,
+      "chats.upsert",
+      serializeBaileysData(chats)
+    );
   });
 
   sock.ev.on("chats.update", async (updates) => {
     updateActivity();
 
-    if (shouldSendEventWebhook("chats.update")) {
-      await sendWebhook(
-        session.id,
-        "chats.update",
-        serializeBaileysData(updates)
-      );
-    }
+    await sendWebhook(
+      session.id,
+      "chats.update",
+      serializeBaileysData(updates)
+    );
   });
 
   sock.ev.on("chats.delete", async (deletions) => {
     updateActivity();
 
-    if (shouldSendEventWebhook("chats.delete")) {
-      await sendWebhook(
-        session.id,
-        "chats.delete",
-        serializeBaileysData(deletions)
-      );
-    }
+    await sendWebhook(
+      session.id,
+      "chats.delete",
+      serializeBaileysData(deletions)
+    );
   });
 
   sock.ev.on("contacts.upsert", async (contacts) => {
     updateActivity();
     contacts?.forEach((c) => c?.id && caches.contacts.set(c.id, c));
 
-    if (shouldSendEventWebhook("contacts.upsert")) {
-      await sendWebhook(
-        session.id,
-        "contacts.upsert",
-        serializeBaileysData(contacts)
-      );
-    }
+    await sendWebhook(
+      session.id,
+      "contacts.upsert",
+      serializeBaileysData(contacts)
+    );
   });
 
   sock.ev.on("contacts.update", async (updates) => {
@@ -601,26 +515,22 @@ export async function makeSocketForSession(session) {
         })
     );
 
-    if (shouldSendEventWebhook("contacts.update")) {
-      await sendWebhook(
-        session.id,
-        "contacts.update",
-        serializeBaileysData(updates)
-      );
-    }
+    await sendWebhook(
+      session.id,
+      "contacts.update",
+      serializeBaileysData(updates)
+    );
   });
 
   sock.ev.on("groups.upsert", async (groups) => {
     updateActivity();
     groups?.forEach((g) => g?.id && caches.groups.set(g.id, g));
 
-    if (shouldSendEventWebhook("groups.upsert")) {
-      await sendWebhook(
-        session.id,
-        "groups.upsert",
-        serializeBaileysData(groups)
-      );
-    }
+    await sendWebhook(
+      session.id,
+      "groups.upsert",
+      serializeBaileysData(groups)
+    );
   });
 
   sock.ev.on("groups.update", async (updates) => {
@@ -635,25 +545,21 @@ export async function makeSocketForSession(session) {
         })
     );
 
-    if (shouldSendEventWebhook("groups.update")) {
-      await sendWebhook(
-        session.id,
-        "groups.update",
-        serializeBaileysData(updates)
-      );
-    }
+    await sendWebhook(
+      session.id,
+      "groups.update",
+      serializeBaileysData(updates)
+    );
   });
 
   sock.ev.on("group-participants.update", async (update) => {
     updateActivity();
 
-    if (shouldSendEventWebhook("group-participants.update")) {
-      await sendWebhook(
-        session.id,
-        "group-participants.update",
-        serializeBaileysData(update)
-      );
-    }
+    await sendWebhook(
+      session.id,
+      "group-participants.update",
+      serializeBaileysData(update)
+    );
   });
 
   sock.ev.on("messaging-history.set", async (history) => {
@@ -670,61 +576,59 @@ export async function makeSocketForSession(session) {
       isLatest: history?.isLatest
     });
 
-    if (shouldSendEventWebhook("messaging-history.set")) {
-      await sendWebhook(
-        session.id,
-        "messaging-history.set",
-        serializeBaileysData(history)
-      );
-    }
+    await sendWebhook(
+      session.id,
+      "messaging-history.set",
+      serializeBaileysData(history)
+    );
   });
 
   sock.ev.on("presence.update", async (update) => {
     updateActivity();
 
-    if (shouldSendEventWebhook("presence.update")) {
-      await sendWebhook(
-        session.id,
-        "presence.update",
-        serializeBaileysData(update)
-      );
-    }
+    await sendWebhook(
+      session.id,
+      "presence.update",
+      serializeBaileysData(update)
+    );
   });
 
   sock.ev.on("call", async (calls) => {
     updateActivity();
 
-    if (shouldSendEventWebhook("call")) {
-      await sendWebhook(
-        session.id,
-        "call",
-        serializeBaileysData(calls)
-      );
-    }
+    await sendWebhook(
+      session.id,
+      "call",
+      serializeBaileysData(calls)
+    );
   });
 
   sock.ev.on("blocklist.set", async (blocklist) => {
     updateActivity();
 
-    if (shouldSendEventWebhook("blocklist.set")) {
-      await sendWebhook(
-        session.id,
-        "blocklist.set",
-        serializeBaileysData(blocklist)
-      );
-    }
+    await setBlocklist(session.id, blocklist?.blocklist).catch((err) =>
+      console.error(`[${session.id}] Failed to store blocklist:`, err?.message || err)
+    );
+
+    await sendWebhook(
+      session.id,
+      "blocklist.set",
+      serializeBaileysData(blocklist)
+    );
   });
 
   sock.ev.on("blocklist.update", async (update) => {
     updateActivity();
 
-    if (shouldSendEventWebhook("blocklist.update")) {
-      await sendWebhook(
-        session.id,
-        "blocklist.update",
-        serializeBaileysData(update)
-      );
-    }
+    await updateBlocklist(session.id, update?.blocklist, update?.type).catch((err) =>
+      console.error(`[${session.id}] Failed to update blocklist:`, err?.message || err)
+    );
+
+    await sendWebhook(
+      session.id,
+      "blocklist.update",
+      serializeBaileysData(update)
+    );
   });
 
   // ============================================
@@ -0,0 +1,88 @@
+/**
+ * Minimal JSON Schema validator for the event payload schemas.
+ *
+ * Supports the keywords those schemas use: type, enum, const, properties,
+ * required, items, anyOf and local $ref ("#/$defs/<name>").
+ *
+ * @returns {string[]} - Validation errors (empty when valid)
+ */
+export function validateSchema(value, schema, root = schema, path = "$") {
+  if (schema.$ref) {
+    const name = schema.$ref.replace(/^#\/\$defs\//, "");
+    const target = root.$defs?.[name];
+    if (!target) return [`${path}: unresolved $ref ${schema.$ref}`];
+    return validateSchema(value, target, root, path);
+  }
+
+  if (schema.anyOf) {
+    const results = schema.anyOf.map((option) =>
+      validateSchema(value, option, root, path)
+    );
+    if (results.some((errors) => errors.length === 0)) return [];
+    return [`${path}: does not match any allowed shape (${results.map((e) => e[0]).join(" | ")})`];
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      return [`${path}: expected ${types.join(" or ")}, got ${describeType(value)}`];
+    }
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    return [`${path}: expected ${JSON.stringify(schema.const)}`];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${path}: expected one of ${schema.enum.map((v) => JSON.stringify(v)).join(", ")}`];
+  }
+
+  const errors = [];
+
+  if (isPlainObject(value)) {
+    for (const field of schema.required || []) {
+      if (value[field] === undefined) errors.push(`${path}.${field}: is required`);
+    }
+
+    for (const [field, fieldSchema] of Object.entries(schema.properties || {})) {
+      if (value[field] !== undefined) {
+        errors.push(...validateSchema(value[field], fieldSchema, root, `${path}.${field}`));
+      }
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(item, schema.items, root, `${path}[${index}]`));
+    });
+  }
+
+  return errors;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function describeType(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case "null":
+      return value === null;
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return isPlainObject(value);
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    default:
+      return typeof value === type;
+  }
+}
@@ -0,0 +1,36 @@
+/**
+ * Extract the WhatsApp message keys ({ remoteJid, id, participant, fromMe })
+ * carried by a message-keyed event payload.
+ */
+export function getMessageKeys(event, payload) {
+  const list = Array.isArray(payload) ? payload : payload ? [payload] : [];
+
+  switch (event) {
+    case "messages.upsert":
+      return (payload?.messages || []).map((m) => m?.key).filter(Boolean);
+
+    case "messages.update":
+    case "message-receipt.update":
+    case "messages.reaction":
+      return list.map((item) => item?.key).filter(Boolean);
+
+    case "messages.delete":
+      return Array.isArray(payload?.keys) ? payload.keys.filter(Boolean) : [];
+
+    default:
+      return [];
+  }
+}
+
+/**
+ * Chat (remoteJid) an event refers to, or null for non-chat events
+ */
+export function getEventChatJid(event, payload) {
+  const keys = getMessageKeys(event, payload);
+  if (keys[0]?.remoteJid) return keys[0].remoteJid;
+
+  // messages.delete for a whole chat: { jid, all: true }
+  if (event === "messages.delete" && payload?.jid) return payload.jid;
+
+  return null;
+}
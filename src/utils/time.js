@@ -0,0 +1,11 @@
+/**
+ * Parse a timestamp given as epoch milliseconds or ISO date
+ * @returns {number|undefined} - Epoch ms, NaN when invalid, undefined when empty
+ */
+export function parseTime(value) {
+  if (value === undefined || value === null || value === "") return undefined;
+  if (/^\d+$/.test(String(value))) return parseInt(value, 10);
+
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? NaN : parsed;
+}
@@ -0,0 +1,386 @@
+import { Router } from "express";
+import {
+  listSubscriptions,
+  getSubscription,
+  createSubscription,
+  updateSubscription,
+  deleteSubscription,
+  validateSubscription,
+} from "../services/webhook-subscriptions.js";
+import { redactDestination } from "../services/webhook-destinations.js";
+import { webhookQueue } from "../services/webhook.js";
+import {
+  getDeliveries,
+  queryDeliveries,
+} from "../services/webhook-delivery-log.js";
+import { parseTime } from "../utils/time.js";
+
+export const router = Router();
+
+/**
+ * Build a dead-letter filter from query/body params
+ * @returns {Object} - { filter } or { error }
+ */
+function parseFailedFilter(source = {}) {
+  const from = parseTime(source.from);
+  const to = parseTime(source.to);
+
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    return { error: "'from' and 'to' must be epoch milliseconds or ISO dates" };
+  }
+
+  return {
+    filter: {
+      sessionId: source.sessionId || undefined,
+      event: source.event || undefined,
+      from,
+      to,
+    },
+  };
+}
+
+/**
+ * Resolve which dead-lettered webhooks a bulk operation targets.
+ * Requires explicit ids, a filter, or `all: true`.
+ */
+function parseFailedSelector(body = {}) {
+  if (body.ids !== undefined) {
+    if (!Array.isArray(body.ids) || body.ids.length === 0) {
+      return { error: "'ids' must be a non-empty array" };
+    }
+    return { selector: { ids: body.ids.map(String) } };
+  }
+
+  const { filter, error } = parseFailedFilter(body.filter || {});
+  if (error) return { error };
+
+  const hasFilter = Object.values(filter).some((v) => v !== undefined);
+  if (!hasFilter && body.all !== true) {
+    return {
+      error: "Provide 'ids', a 'filter' ({ sessionId, event, from, to }) or 'all: true'",
+    };
+  }
+
+  return { selector: { filter } };
+}
+
+/**
+ * List webhook subscriptions
+ * @route GET /admin/webhooks/subscriptions
+ */
+router.get("/subscriptions", async (_req, res, next) => {
+  try {
+    const subscriptions = await listSubscriptions();
+    res.json({
+      ok: true,
+      count: subscriptions.length,
+      subscriptions: subscriptions.map(redactDestination),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Create a webhook subscription
+ * @route POST /admin/webhooks/subscriptions
+ */
+router.post("/subscriptions", async (req, res, next) => {
+  try {
+    const validation = validateSubscription(req.body);
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        ok: false,
+        error: "Invalid subscription",
+        details: validation.errors,
+      });
+    }
+
+    const subscription = await createSubscription(req.body);
+
+    res.status(201).json({
+      ok: true,
+      subscription: redactDestination(subscription),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Get a webhook subscription
+ * @route GET /admin/webhooks/subscriptions/:subscriptionId
+ */
+router.get("/subscriptions/:subscriptionId", async (req, res, next) => {
+  try {
+    const subscription = await getSubscription(req.params.subscriptionId);
+
+    if (!subscription) {
+      return res.status(404).json({
+        ok: false,
+        error: "Subscription not found",
+      });
+    }
+
+    res.json({ ok: true, subscription: redactDestination(subscription) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Update a webhook subscription (partial)
+ * @route PUT /admin/webhooks/subscriptions/:subscriptionId
+ */
+router.put("/subscriptions/:subscriptionId", async (req, res, next) => {
+  try {
+    const current = await getSubscription(req.params.subscriptionId);
+
+    if (!current) {
+      return res.status(404).json({
+        ok: false,
+        error: "Subscription not found",
+      });
+    }
+
+    // Validated merged over the stored subscription so auth, TLS and
+    // signing fields stay consistent whatever the body contains
+    const validation = validateSubscription(req.body, current);
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        ok: false,
+        error: "Invalid subscription",
+        details: validation.errors,
+      });
+    }
+
+    const subscription = await updateSubscription(
+      req.params.subscriptionId,
+      req.body
+    );
+
+    res.json({ ok: true, subscription: redactDestination(subscription) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Delete a webhook subscription
+ * @route DELETE /admin/webhooks/subscriptions/:subscriptionId
+ */
+router.delete("/subscriptions/:subscriptionId", async (req, res, next) => {
+  try {
+    const removed = await deleteSubscription(req.params.subscriptionId);
+
+    if (!removed) {
+      return res.status(404).json({
+        ok: false,
+        error: "Subscription not found",
+      });
+    }
+
+    res.json({ ok: true, removed });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * List dead-lettered webhooks with their error history
+ * @route GET /admin/webhooks/failed?sessionId=&event=&from=&to=&offset=&limit=
+ */
+router.get("/failed", async (req, res, next) => {
+  try {
+    const { filter, error } = parseFailedFilter(req.query);
+
+    if (error) {
+      return res.status(400).json({ ok: false, error });
+    }
+
+    const offset = Math.max(0, parseInt(req.query.offset || "0", 10) || 0);
+    const limit = Math.min(
+      500,
+      Math.max(1, parseInt(req.query.limit || "50", 10) || 50)
+    );
+
+    const result = await webhookQueue.listFailed(filter, { offset, limit });
+
+    res.json({ ok: true, ...result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Retry dead-lettered webhooks by ids or filter
+ * @route POST /admin/webhooks/failed/retry
+ */
+router.post("/failed/retry", async (req, res, next) => {
+  try {
+    const { selector, error } = parseFailedSelector(req.body);
+
+    if (error) {
+      return res.status(400).json({ ok: false, error });
+    }
+
+    const retried = await webhookQueue.retryFailedWebhooks(selector);
+
+    res.json({
+      ok: true,
+      retried: retried.length,
+      ids: retried,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Delete dead-lettered webhooks by ids or filter
+ * @route POST /admin/webhooks/failed/delete
+ */
+router.post("/failed/delete", async (req, res, next) => {
+  try {
+    const { selector, error } = parseFailedSelector(req.body);
+
+    if (error) {
+      return res.status(400).json({ ok: false, error });
+    }
+
+    const deleted = await webhookQueue.deleteFailedWebhooks(selector);
+
+    res.json({
+      ok: true,
+      deleted: deleted.length,
+      ids: deleted,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Purge dead-lettered webhooks older than N days
+ * @route POST /admin/webhooks/failed/purge
+ */
+router.post("/failed/purge", async (req, res, next) => {
+  try {
+    const olderThanDays = Number(req.body?.olderThanDays);
+
+    if (!Number.isFinite(olderThanDays) || olderThanDays < 0) {
+      return res.status(400).json({
+        ok: false,
+        error: "'olderThanDays' must be a non-negative number",
+      });
+    }
+
+    const purged = await webhookQueue.purgeFailed(olderThanDays);
+
+    res.json({ ok: true, purged, olderThanDays });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Inspect a dead-lettered webhook
+ * @route GET /admin/webhooks/failed/:webhookId
+ */
+router.get("/failed/:webhookId", async (req, res, next) => {
+  try {
+    const webhook = await webhookQueue.getFailed(req.params.webhookId);
+
+    if (!webhook) {
+      return res.status(404).json({
+        ok: false,
+        error: "Failed webhook not found",
+      });
+    }
+
+    res.json({ ok: true, webhook });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Delete a single dead-lettered webhook
+ * @route DELETE /admin/webhooks/failed/:webhookId
+ */
+router.delete("/failed/:webhookId", async (req, res, next) => {
+  try {
+    const deleted = await webhookQueue.deleteFailedWebhooks({
+      ids: [req.params.webhookId],
+    });
+
+    if (deleted.length === 0) {
+      return res.status(404).json({
+        ok: false,
+        error: "Failed webhook not found",
+      });
+    }
+
+    res.json({ ok: true, deleted: deleted.length, ids: deleted });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Search recent delivery attempts
+ * @route GET /admin/webhooks?sessionId=&event=&ok=&limit=
+ */
+router.get("/", async (req, res, next) => {
+  try {
+    const limit = Math.min(
+      1000,
+      Math.max(1, parseInt(req.query.limit || "100", 10) || 100)
+    );
+    const ok =
+      req.query.ok === undefined ? undefined : req.query.ok === "true";
+
+    const deliveries = await queryDeliveries(
+      {
+        sessionId: req.query.sessionId || undefined,
+        event: req.query.event || undefined,
+        ok,
+      },
+      limit
+    );
+
+    res.json({ ok: true, count: deliveries.length, deliveries });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Delivery attempts of a webhook (status, latency, response, error)
+ * Registered last so it does not shadow the routes above.
+ * @route GET /admin/webhooks/:webhookId
+ */
+router.get("/:webhookId", async (req, res, next) => {
+  try {
+    const deliveries = await getDeliveries(req.params.webhookId);
+
+    if (deliveries.length === 0) {
+      return res.status(404).json({
+        ok: false,
+        error: "No delivery records for this webhook",
+      });
+    }
+
+    res.json({
+      ok: true,
+      webhookId: req.params.webhookId,
+      attempts: deliveries.length,
+      delivered: deliveries.some((d) => d.ok),
+      deliveries,
+    });
+  } catch (error) {
+    next(error);
+  }
+});